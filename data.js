@@ -0,0 +1,1194 @@
+/*
+  Shared data layer used by every page
+
+  This file contains the logic for:
+  - Reading the data source from config.json (with a ?source= override)
+  - Fetching the IT tips Google Sheet CSV (with retries, timeouts and a local fallback CSV)
+  - Parsing CSV text into rows and objects
+  - Normalizing sheet rows into Tip objects
+  - Checking the sheet for data-quality problems (used by health.html)
+  - Loading the search synonym dictionary (a second sheet tab or CSV)
+  - Caching the last downloaded tips and synonyms in localStorage
+  - Small helpers shared by the pages (escaping, date formatting, the data status banner)
+  - Registering the service worker for offline use
+
+  Load it before the page script:
+    <script src="data.js"></script>
+    <script src="script.js"></script>
+*/
+
+// Configuration: data sources live in config.json so no code changes are needed to switch sheets
+const CONFIG_URL = 'config.json';
+
+// Data the list page downloaded this recently is reused as-is instead of fetching the sheet again
+const CACHE_FRESH_MS = 5 * 60 * 1000;
+
+/**
+ * A tip as used by the pages, independent of the sheet's exact column names
+ * @typedef {Object} Tip
+ * @property {string} id          Value of the ID column ('' when missing)
+ * @property {string} category
+ * @property {string} issue       Short title of the problem
+ * @property {string} description
+ * @property {string} stepsText   Steps cell exactly as written in the sheet
+ * @property {string[]} steps     One entry per step and sub-step, numbering, bullets and headings removed
+ * @property {StepOutlineItem[]} stepOutline  The Steps cell with its headings and sub-step levels
+ * @property {string} createdBy
+ * @property {string} timestamp   Timestamp cell exactly as written in the sheet
+ * @property {string[]} tags      Optional Tags column, split into a list
+ * @property {string[]} keywords  Optional Keywords column, split into a list
+ * @property {string[]} links     Optional Links column, one URL per entry
+ * @property {string} audience    Optional Audience column
+ * @property {string} difficulty  Optional Difficulty column
+ * @property {string} checklistMode  'sequential', 'free', or '' when the Checklist column is empty
+ * @property {TipMedia[]} media   Optional Media column, one image per line
+ * @property {string[]} platforms  Platform IDs the tip covers (see PLATFORMS): the Platforms column
+ *   plus any platform tags in the steps; empty when it is not platform-specific
+ * @property {Object<string, string>} extra  Any other columns, keyed by their header text
+ */
+
+/**
+ * One image from the Media column
+ * @typedef {Object} TipMedia
+ * @property {string|null} step  Label of the step it belongs to ("2", "2a"), or null for the whole guide
+ * @property {string} url        As written in the sheet; format.js checks it before use
+ * @property {string} caption
+ */
+
+/**
+ * Sheet columns the app understands, mapped onto Tip fields.
+ * Headers match the column name or any alias, ignoring case, spaces, underscores and hyphens,
+ * so "Created By", "created_by" and "Author" all fill createdBy.
+ * - required: reported by the health check when the column is missing
+ * - separator: the cell is split into a list on this pattern
+ * To support a new column, add an entry here; the parser does not need to change.
+ */
+const TIP_SCHEMA = [
+    { field: 'id', column: 'ID', aliases: ['Tip ID', 'Key', 'No', '#'], required: true },
+    { field: 'category', column: 'Category', aliases: ['Section', 'Topic', 'Group'], required: true },
+    { field: 'issue', column: 'Issue', aliases: ['Title', 'Problem', 'Question', 'Subject'], required: true },
+    { field: 'description', column: 'Description', aliases: ['Summary', 'Details'], required: true },
+    { field: 'stepsText', column: 'Steps', aliases: ['Instructions', 'Solution', 'How To'], required: true },
+    { field: 'createdBy', column: 'CreatedBy', aliases: ['Author', 'Owner', 'Added By'], required: true },
+    { field: 'timestamp', column: 'Timestamp', aliases: ['Date', 'Updated', 'Last Updated', 'Updated At'], required: true },
+    { field: 'tags', column: 'Tags', aliases: ['Tag', 'Labels'], separator: /[,;\n]/ },
+    { field: 'keywords', column: 'Keywords', aliases: ['Keyword', 'Search Terms'], separator: /[,;\n]/ },
+    { field: 'links', column: 'Links', aliases: ['Link', 'URLs', 'Resources'], separator: /\s+/ },
+    { field: 'audience', column: 'Audience', aliases: ['For', 'Who'] },
+    { field: 'difficulty', column: 'Difficulty', aliases: ['Level'] },
+    { field: 'checklistMode', column: 'Checklist', aliases: ['Checklist Mode', 'Order', 'Step Order'] },
+    { field: 'media', column: 'Media', aliases: ['Images', 'Screenshots', 'Pictures'], separator: /\n/ },
+    { field: 'platforms', column: 'Platforms', aliases: ['Platform', 'OS', 'Devices'], separator: /[,;]/ }
+];
+
+/**
+ * The data source the pages read from, resolved from config.json
+ * @typedef {Object} DataSource
+ * @property {string} name         Key in config.json "sources"
+ * @property {string} label        Human-readable name
+ * @property {string} url          Published CSV URL (or a path to a local CSV)
+ * @property {string} fallbackUrl  Local CSV used when the source cannot be reached ('' for none)
+ * @property {string} synonymsUrl  CSV of search synonyms for this source ('' for none)
+ * @property {boolean} isDefault   False when IT picked another source with ?source=
+ */
+
+// ===== Configuration =====
+
+let configPromise = null;
+
+/**
+ * Loads config.json once per page
+ */
+function loadConfig() {
+    if (!configPromise) {
+        configPromise = fetch(CONFIG_URL)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Could not load ${CONFIG_URL} (status ${response.status})`);
+                }
+                return response.json();
+            })
+            .catch(err => {
+                // Allow a later call to try again
+                configPromise = null;
+                throw err;
+            });
+    }
+    return configPromise;
+}
+
+function getSourceOverrideStorageKey() {
+    return 've-it-tips-source';
+}
+
+/**
+ * Returns the source name picked with ?source=name, remembered for the rest of the session
+ * so that opening a tip keeps using the same sheet. ?source=default goes back to the default.
+ */
+function getSourceOverride(sources) {
+    const requested = new URLSearchParams(window.location.search).get('source');
+
+    try {
+        if (requested !== null) {
+            if (requested === '' || requested === 'default') {
+                sessionStorage.removeItem(getSourceOverrideStorageKey());
+            } else if (sources[requested]) {
+                sessionStorage.setItem(getSourceOverrideStorageKey(), requested);
+            } else {
+                console.warn(`Unknown data source "${requested}" in ?source= was ignored`);
+            }
+        }
+        const saved = sessionStorage.getItem(getSourceOverrideStorageKey());
+        return saved && sources[saved] ? saved : null;
+    } catch (e) {
+        return requested && sources[requested] ? requested : null;
+    }
+}
+
+/**
+ * Resolves which data source this page should read
+ * @returns {Promise<DataSource>}
+ */
+async function getActiveSource() {
+    const config = await loadConfig();
+    const sources = config.sources || {};
+    const name = getSourceOverride(sources) || config.defaultSource;
+    const source = sources[name];
+
+    if (!source || !source.url) {
+        throw new Error(`Data source "${name}" is not configured in ${CONFIG_URL}`);
+    }
+
+    return {
+        name: name,
+        label: source.label || name,
+        url: source.url,
+        fallbackUrl: config.fallbackCsv || '',
+        synonymsUrl: source.synonymsUrl || config.synonymsCsv || '',
+        isDefault: name === config.defaultSource
+    };
+}
+
+// ===== CSV Parsing Functions =====
+
+/**
+ * Parses CSV text into records, handling quoted fields with newlines
+ * This is a more robust parser that handles all CSV edge cases.
+ * Blank records are kept so that index + 1 is the row number in the sheet.
+ */
+function parseCSVRecords(csvText) {
+    // Remove BOM (Byte Order Mark) if present
+    if (csvText.length > 0 && csvText.charCodeAt(0) === 0xFEFF) {
+        csvText = csvText.slice(1);
+    }
+
+    const records = [];
+    let currentRow = [];
+    let currentField = '';
+    let inQuotes = false;
+    let i = 0;
+
+    const endRow = () => {
+        currentRow.push(currentField);
+        records.push(currentRow);
+        currentRow = [];
+        currentField = '';
+    };
+
+    while (i < csvText.length) {
+        const char = csvText[i];
+        const nextChar = csvText[i + 1];
+
+        if (char === '"') {
+            if (inQuotes && nextChar === '"') {
+                // Escaped quote (double quote) - add single quote to field
+                currentField += '"';
+                i += 2; // Skip both quotes
+                continue;
+            } else {
+                // Toggle quote state
+                inQuotes = !inQuotes;
+                i++;
+                continue;
+            }
+        }
+
+        if (!inQuotes) {
+            // We're outside quotes, so commas and newlines are delimiters
+            if (char === ',') {
+                // End of field
+                currentRow.push(currentField);
+                currentField = '';
+                i++;
+                continue;
+            } else if (char === '\n') {
+                endRow();
+                i++;
+                continue;
+            } else if (char === '\r') {
+                // Handle Windows (\r\n) and old Mac (\r) line endings
+                endRow();
+                i += nextChar === '\n' ? 2 : 1;
+                continue;
+            }
+        }
+
+        // Regular character - add to current field
+        currentField += char;
+        i++;
+    }
+
+    // Add last field and row (if the text doesn't end with a newline)
+    if (currentField !== '' || currentRow.length > 0) {
+        endRow();
+    }
+
+    return records;
+}
+
+/**
+ * Returns true when a record has at least one non-empty field
+ */
+function isNonEmptyRecord(record) {
+    return record.some(field => field.trim() !== '');
+}
+
+/**
+ * Parses CSV text into rows, skipping blank rows
+ */
+function parseCSVRows(csvText) {
+    return parseCSVRecords(csvText).filter(isNonEmptyRecord);
+}
+
+// ===== Platforms =====
+// A step, or a heading and everything under it, can be marked for some platforms with a tag:
+//   [Mac] Open System Settings
+//   [Windows, Chromebook] Open Settings
+//   ## [Android] On an Android phone
+// Untagged steps are for everyone. The Platforms column can also list the platforms a whole tip is for.
+
+const PLATFORMS = [
+    { id: 'windows', label: 'Windows', aliases: ['windows', 'win', 'pc'] },
+    { id: 'mac', label: 'Mac', aliases: ['mac', 'macos', 'osx', 'macbook'] },
+    { id: 'android', label: 'Android', aliases: ['android'] },
+    { id: 'ios', label: 'iPhone/iPad', aliases: ['ios', 'iphone', 'ipad', 'iphone/ipad'] },
+    { id: 'chromeos', label: 'Chromebook', aliases: ['chromebook', 'chromeos'] }
+];
+
+// "[Mac] ..." but not a link such as "[Mac](https://...)"
+const PLATFORM_TAG_PATTERN = /^\[([^\]]+)\](?!\()\s*/;
+
+/**
+ * Platform ID for a name written in the sheet ("macOS", "Chrome OS"), or ''
+ */
+function normalizePlatform(value) {
+    const key = String(value || '').toLowerCase().replace(/[\s_\-]+/g, '');
+    const platform = PLATFORMS.find(entry => entry.id === key || entry.aliases.includes(key));
+    return platform ? platform.id : '';
+}
+
+function getPlatformLabel(platformId) {
+    const platform = PLATFORMS.find(entry => entry.id === platformId);
+    return platform ? platform.label : platformId;
+}
+
+/**
+ * Splits a leading platform tag off a step or heading
+ * A bracket that is not made only of platform names (e.g. "[Optional]") is left as text.
+ * @returns {{ platforms: string[], text: string }}
+ */
+function parsePlatformTag(text) {
+    const match = PLATFORM_TAG_PATTERN.exec(text);
+    if (!match) return { platforms: [], text: text };
+
+    const platforms = match[1].split(/,|&|\band\b|\bor\b/i).map(normalizePlatform);
+    if (platforms.length === 0 || platforms.includes('')) return { platforms: [], text: text };
+    return { platforms: sortPlatforms(platforms), text: text.slice(match[0].length) };
+}
+
+/**
+ * Removes duplicates and puts platform IDs in the PLATFORMS order
+ */
+function sortPlatforms(platformIds) {
+    return PLATFORMS.map(entry => entry.id).filter(id => platformIds.includes(id));
+}
+
+/**
+ * True when a step is shown for the platform ('' shows every step)
+ * @param {StepOutlineItem} item
+ */
+function isStepForPlatform(item, platformId) {
+    return !platformId || item.platforms.length === 0 || item.platforms.includes(platformId);
+}
+
+/**
+ * Platforms with their own steps in the tip, i.e. the choices for the steps page's platform switcher
+ */
+function getTipStepPlatforms(tip) {
+    return sortPlatforms(tip.stepOutline.flatMap(item => item.platforms));
+}
+
+// ===== Steps Outline =====
+// Besides one step per line, a Steps cell can have section headings and indented sub-steps:
+//   ## On your laptop              a heading ("Part 2 – On your phone" works without the #)
+//   1. Open Settings
+//      a. Click Advanced           a sub-step: indented, or numbered a., b), ii. or 1.1
+// Sub-steps go up to three levels deep. Headings are not steps: they have no number or checkbox.
+
+const STEP_HEADING_PATTERN = /^(?:#{1,3}\s*(.+)|(part\s+\d+\b.*))$/i;
+const SUB_STEP_MARKER_PATTERN = /^(?:[a-z]|[ivx]{2,4})[.)]\s+/;
+// "2.1 Wait" under the step written as "2."; other decimals ("1.5 GB free") are left alone
+const DECIMAL_SUB_STEP_PATTERN = /^(\d+)\.\d+[.)]?\s+/;
+// "1.", "1)" or "1. " in front of a step, but not the "1." of "1.5 GB free"
+const STEP_NUMBER_PATTERN = /^(\d+)[.)](?!\d)\s*/;
+
+/**
+ * One line of a Steps cell
+ * @typedef {Object} StepOutlineItem
+ * @property {string} type    'heading' or 'step'
+ * @property {string} text    Without numbering, bullets or "#"
+ * @property {number} level   1 for steps, 2 or 3 for sub-steps, 0 for headings
+ * @property {string} label   How the step is referred to: "3", "3a", "3a.ii" ('' for headings)
+ * @property {string} marker  The last part of the label, shown in front of the step: "3", "a", "ii"
+ * @property {string[]} platforms  Platforms the step is for, from its own tag or its step's or
+ *   section's; empty for every platform
+ */
+
+function toStepLetter(number) {
+    return number <= 26 ? String.fromCharCode(96 + number) : String(number);
+}
+
+function toStepRoman(number) {
+    const tens = ['', 'x', 'xx', 'xxx'];
+    const units = ['', 'i', 'ii', 'iii', 'iv', 'v', 'vi', 'vii', 'viii', 'ix'];
+    return number < 40 ? tens[Math.floor(number / 10)] + units[number % 10] : String(number);
+}
+
+/**
+ * Reads a Steps cell into headings and (sub-)steps, in order
+ * Indentation widths within a space of each other count as the same depth, and a step is never
+ * more than one level deeper than the one before it.
+ * @returns {StepOutlineItem[]}
+ */
+function parseStepOutline(stepsString) {
+    if (!stepsString) return [];
+
+    const lines = stepsString.split(/\n/).filter(line => line.trim() !== '');
+    const indents = lines.map(line => /^[ \t]*/.exec(line)[0].replace(/\t/g, '    ').length);
+    const depthWidths = [];
+    [...new Set(indents)].sort((a, b) => a - b).forEach(width => {
+        if (depthWidths.length === 0 || width - depthWidths[depthWidths.length - 1] >= 2) depthWidths.push(width);
+    });
+
+    const outline = [];
+    const counters = [0, 0, 0];
+    let previousLevel = 0;
+    // The number the author wrote on the last step, which may restart under a new heading;
+    // null when it had none, and decimal sub-steps are then matched against the step's own number
+    let writtenNumber = null;
+    // Platforms of the current section and of the step at each level, passed down to untagged sub-steps
+    let sectionPlatforms = [];
+    const levelPlatforms = [];
+
+    lines.forEach((line, i) => {
+        const text = line.trim();
+        const heading = STEP_HEADING_PATTERN.exec(text);
+        if (heading) {
+            const tagged = parsePlatformTag((heading[1] || heading[2]).trim());
+            sectionPlatforms = tagged.platforms;
+            outline.push({ type: 'heading', text: tagged.text, level: 0, label: '', marker: '', platforms: tagged.platforms });
+            previousLevel = 0;
+            return;
+        }
+
+        const decimal = DECIMAL_SUB_STEP_PATTERN.exec(text);
+        const parentNumber = writtenNumber !== null ? writtenNumber : counters[0];
+        const isDecimalSubStep = Boolean(decimal) && parseInt(decimal[1], 10) === parentNumber;
+        const hasSubStepMarker = isDecimalSubStep || SUB_STEP_MARKER_PATTERN.test(text);
+        const stepText = (isDecimalSubStep ? text.replace(DECIMAL_SUB_STEP_PATTERN, '') : text.replace(SUB_STEP_MARKER_PATTERN, ''))
+            // Numbered steps: "1.", "1. ", "1)", "1) " (with or without space)
+            .replace(STEP_NUMBER_PATTERN, '')
+            // Bullet points: "- ", "* ", "• " (with space)
+            .replace(/^[-*•]\s+/, '')
+            .trim();
+        const tagged = parsePlatformTag(stepText);
+        if (!tagged.text) return;
+
+        const depth = depthWidths.filter(width => width <= indents[i]).length;
+        const level = Math.min(Math.max(depth, hasSubStepMarker ? 2 : 1), previousLevel + 1, 3);
+        previousLevel = level;
+        if (level === 1) {
+            const written = isDecimalSubStep ? null : STEP_NUMBER_PATTERN.exec(text);
+            writtenNumber = written ? parseInt(written[1], 10) : null;
+        }
+
+        const inherited = level > 1 ? levelPlatforms[level - 2] : sectionPlatforms;
+        levelPlatforms[level - 1] = tagged.platforms.length > 0 ? tagged.platforms : inherited;
+
+        counters[level - 1]++;
+        counters.fill(0, level);
+        const parts = [String(counters[0]), toStepLetter(counters[1]), toStepRoman(counters[2])].slice(0, level);
+        outline.push({
+            type: 'step',
+            text: tagged.text,
+            level: level,
+            label: level === 3 ? `${parts[0]}${parts[1]}.${parts[2]}` : parts.join(''),
+            marker: parts[level - 1],
+            platforms: levelPlatforms[level - 1]
+        });
+    });
+
+    return outline;
+}
+
+/**
+ * The label of each of the tip's steps, e.g. ["1", "2", "2a", "2b", "3"]
+ */
+function getStepLabels(tip) {
+    return getOutlineSteps(tip).map(item => item.label);
+}
+
+/**
+ * The outline entries of the tip's steps, without headings; index i describes tip.steps[i]
+ * @returns {StepOutlineItem[]}
+ */
+function getOutlineSteps(tip) {
+    return tip.stepOutline.filter(item => item.type === 'step');
+}
+
+// ===== Branching Steps =====
+// A Steps cell can describe a small troubleshooting flow, one line per step as usual:
+//   ? Can you see the Wi-Fi icon? | Yes -> 4 | No -> 2    a question; each answer jumps to a step
+//   Turn Wi-Fi on in Settings -> step 5                    after this step, carry on at step 5
+//   Restart the laptop -> end                              the guide ends after this step
+// Step numbers are the steps' labels as shown on the page ("4", or "2a" for a sub-step). An answer
+// or step without a jump carries on with the next step, so ordinary guides are unaffected.
+// After an ordinary step the jump must say "step": menu paths such as "Tap Settings → Wi-Fi → Done"
+// are common in steps and must not turn a guide into a flow.
+
+const FLOW_ANSWER_JUMP_PATTERN = /\s*(?:->|→)\s*(?:step\s*)?(\d+(?:[a-z]|[a-z]\.[ivx]+)?|end)\s*$/i;
+const FLOW_STEP_JUMP_PATTERN = /\s*(?:->|→)\s*(?:step\s*(\d+(?:[a-z]|[a-z]\.[ivx]+)?)|(end))\s*$/i;
+
+/**
+ * One line of a Steps cell read as part of a flow
+ * @typedef {Object} FlowStep
+ * @property {string} text          The step or question without the flow marks (may contain rich text)
+ * @property {boolean} question
+ * @property {{ label: string, target: string|null }[]} answers  A question's answers
+ * @property {string|null} next  Where an ordinary step leads
+ * Targets are step labels as written ("4", "2a"), 'end', or null for the next step.
+ */
+
+/**
+ * Splits a trailing jump ("-> 5", "-> step 5", "-> end") off a piece of text
+ * @param {RegExp} pattern  FLOW_ANSWER_JUMP_PATTERN or FLOW_STEP_JUMP_PATTERN
+ */
+function parseFlowJump(text, pattern) {
+    const match = pattern.exec(text);
+    if (!match) return { text: text.trim(), target: null };
+
+    return {
+        text: text.slice(0, match.index).trim(),
+        target: match.slice(1).find(Boolean).toLowerCase()
+    };
+}
+
+/**
+ * Reads a step line as a question ("? ... | answer -> n") or an ordinary step with an optional "-> step n"
+ * @returns {FlowStep}
+ */
+function parseFlowStep(step) {
+    const source = String(step || '').trim();
+
+    if (!source.startsWith('?')) {
+        const jump = parseFlowJump(source, FLOW_STEP_JUMP_PATTERN);
+        return { text: jump.text, question: false, answers: [], next: jump.target };
+    }
+
+    const parts = source.slice(1).split('|');
+    const answers = parts.slice(1)
+        .map(part => parseFlowJump(part, FLOW_ANSWER_JUMP_PATTERN))
+        .filter(jump => jump.text)
+        .map(jump => ({ label: jump.text, target: jump.target }));
+    return { text: parts[0].trim(), question: true, answers: answers, next: null };
+}
+
+/**
+ * True when a tip's steps use questions or jumps
+ */
+function hasStepFlow(steps) {
+    return steps.some(step => {
+        const flowStep = parseFlowStep(step);
+        return flowStep.question || flowStep.next !== null;
+    });
+}
+
+/**
+ * Turns a target into the 0-based index of the step to show next, or 'end'
+ * Unknown step labels carry on with the next step (health.html warns about them).
+ * @param {string[]} labels  From getStepLabels()
+ */
+function resolveFlowTarget(target, index, labels) {
+    if (target === 'end') return 'end';
+    const position = target === null ? -1 : labels.indexOf(target);
+    if (position !== -1) return position;
+    return index + 1 < labels.length ? index + 1 : 'end';
+}
+
+function describeFlowTarget(target) {
+    if (target === 'end') return 'done';
+    return target === null ? 'next step' : `step ${target}`;
+}
+
+/**
+ * A step as read in a plain list: the flow marks written out in words, e.g.
+ * "Can you see the Wi-Fi icon? (Yes → step 4; No → step 2)". Still rich text.
+ */
+function getStepDisplayText(step) {
+    const flowStep = parseFlowStep(step);
+
+    if (flowStep.question) {
+        if (flowStep.answers.length === 0) return flowStep.text;
+        const answers = flowStep.answers.map(answer => `${answer.label} → ${describeFlowTarget(answer.target)}`);
+        return `${flowStep.text} (${answers.join('; ')})`;
+    }
+    if (flowStep.next === 'end') return `${flowStep.text} (then you are done)`;
+    if (flowStep.next !== null) return `${flowStep.text} (then go to step ${flowStep.next})`;
+    return flowStep.text;
+}
+
+// ===== Sheet Schema =====
+
+/**
+ * Reduces a header to the form used for matching ("Created By " -> "createdby")
+ */
+function normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/[\s_\-]+/g, '');
+}
+
+/**
+ * Matches the sheet's headers against TIP_SCHEMA
+ * Returns one entry per column: the schema entry it fills, or null for a column the app
+ * does not know (kept in tip.extra). When two columns match the same field, the first wins.
+ * @returns {{ header: string, schema: Object|null, duplicateOf: number }[]}
+ */
+function resolveColumns(headers) {
+    const lookup = {};
+    TIP_SCHEMA.forEach(entry => {
+        [entry.column, ...entry.aliases].forEach(name => {
+            lookup[normalizeHeader(name)] = entry;
+        });
+    });
+
+    const firstColumnByField = {};
+    return headers.map((rawHeader, index) => {
+        const header = String(rawHeader || '').trim();
+        const schema = lookup[normalizeHeader(header)] || null;
+        let duplicateOf = -1;
+
+        if (schema) {
+            if (firstColumnByField[schema.field] === undefined) {
+                firstColumnByField[schema.field] = index;
+            } else {
+                duplicateOf = firstColumnByField[schema.field];
+            }
+        }
+
+        return { header: header, schema: duplicateOf === -1 ? schema : null, duplicateOf: duplicateOf };
+    });
+}
+
+/**
+ * Splits a list cell ("Zoom, Windows; Audio") into trimmed, de-duplicated entries
+ */
+function splitListCell(value, separator) {
+    const seen = new Set();
+    return String(value || '')
+        .split(separator)
+        .map(item => item.trim())
+        .filter(item => {
+            const key = item.toLowerCase();
+            if (!item || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * Reads the Checklist column: "Free", "Any order" -> 'free'; "Sequential", "In order" -> 'sequential'
+ * Anything else is '' and the page uses its default (in order).
+ */
+function normalizeChecklistMode(value) {
+    const text = String(value || '').trim().toLowerCase();
+    if (!text) return '';
+    if (/free|any|independent|unordered/.test(text)) return 'free';
+    if (/seq|in order|ordered|strict/.test(text)) return 'sequential';
+    return '';
+}
+
+/**
+ * Reads one line of the Media column: an optional step number, the image address and an optional caption
+ * "2: assets/screens/wifi.png Wi-Fi settings", "Step 2 | https://… | Wi-Fi settings" or just "assets/overview.png"
+ * @returns {TipMedia|null}
+ */
+function parseMediaLine(line) {
+    // "2." and "2)" need a space after them, so file names such as "2.png" or "step2.png" stay addresses
+    const match = /^(?:(?:step\s*)?(\d+(?:[a-z]|[a-z]\.[ivx]+)?)(?:\s*[:|]|[.)]\s)\s*)?(\S+)(?:\s*\|?\s*(.*))?$/i.exec(line.trim());
+    if (!match) return null;
+    return {
+        step: match[1] ? match[1].toLowerCase() : null,
+        url: match[2],
+        caption: (match[3] || '').replace(/^\|\s*/, '').trim()
+    };
+}
+
+/**
+ * Turns one row of cell values into a Tip using the columns from resolveColumns()
+ * Short rows are treated as having empty cells; values beyond the last header are ignored.
+ * @returns {Tip}
+ */
+function normalizeTip(values, columns) {
+    const tip = {
+        id: '',
+        category: '',
+        issue: '',
+        description: '',
+        stepsText: '',
+        steps: [],
+        stepOutline: [],
+        createdBy: '',
+        timestamp: '',
+        tags: [],
+        keywords: [],
+        links: [],
+        audience: '',
+        difficulty: '',
+        checklistMode: '',
+        media: [],
+        platforms: [],
+        extra: {}
+    };
+
+    columns.forEach((column, index) => {
+        const value = values[index] ? values[index].trim() : '';
+        if (column.schema) {
+            tip[column.schema.field] = column.schema.separator ? splitListCell(value, column.schema.separator) : value;
+        } else if (column.header && value && column.duplicateOf === -1) {
+            tip.extra[column.header] = value;
+        }
+    });
+
+    tip.stepOutline = parseStepOutline(tip.stepsText);
+    tip.steps = tip.stepOutline.filter(item => item.type === 'step').map(item => item.text);
+    tip.checklistMode = normalizeChecklistMode(tip.checklistMode);
+    tip.media = tip.media.map(parseMediaLine).filter(Boolean);
+    tip.platforms = sortPlatforms([...tip.platforms.map(normalizePlatform), ...getTipStepPlatforms(tip)]);
+    return tip;
+}
+
+/**
+ * Parses the sheet CSV straight into Tips
+ * @returns {Tip[]}
+ */
+function parseTips(csvText) {
+    if (!csvText || csvText.trim() === '') return [];
+
+    const rows = parseCSVRows(csvText);
+    if (rows.length === 0) return [];
+
+    const columns = resolveColumns(rows[0]);
+    const tips = [];
+    for (let i = 1; i < rows.length; i++) {
+        if (rows[i].length !== columns.length) {
+            // Kept anyway; health.html reports the row so IT can fix it
+            console.warn(`Row ${i + 1} has ${rows[i].length} columns, expected ${columns.length}`);
+        }
+        tips.push(normalizeTip(rows[i], columns));
+    }
+    return tips;
+}
+
+/**
+ * Parses the synonyms CSV into groups of words or phrases that mean the same thing
+ * Each row is one group: every non-empty cell, with cells also split on commas and semicolons,
+ * so both "wifi | wireless, wi-fi" and "wifi, wireless, wi-fi" in one cell work.
+ * A first row of headers such as "Term, Synonyms" is skipped.
+ * @returns {string[][]}
+ */
+function parseSynonymsCSV(csvText) {
+    if (!csvText || csvText.trim() === '') return [];
+
+    const rows = parseCSVRows(csvText);
+    const headerNames = ['term', 'terms', 'word', 'words', 'synonym', 'synonyms', 'abbreviation', 'meaning'];
+    if (rows.length > 0 && rows[0].every(cell => !cell.trim() || headerNames.includes(normalizeHeader(cell)))) {
+        rows.shift();
+    }
+
+    return rows
+        .map(row => splitListCell(row.join(';'), /[,;\n]/))
+        .filter(group => group.length > 1);
+}
+
+/**
+ * Short, stable hash of a string (32-bit FNV-1a, base 36) for spotting changed content
+ * Not for security; collisions are possible but very unlikely for a sheet of tips.
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    const str = String(text);
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+/**
+ * Hash of everything a reader sees in a tip, used to tell when IT has edited it
+ * Unknown columns (tip.extra) are left out so adding a helper column does not flag every tip.
+ */
+function getTipContentHash(tip) {
+    return hashString(JSON.stringify([
+        tip.category, tip.issue, tip.description, tip.stepsText, tip.timestamp,
+        tip.tags, tip.keywords, tip.links, tip.audience, tip.difficulty
+    ]));
+}
+
+/**
+ * Finds a tip by its ID, or null
+ */
+function findTipById(tips, tipId) {
+    return tips.find(tip => tip.id === tipId) || null;
+}
+
+// ===== Sheet Diagnostics =====
+
+/**
+ * One data-quality problem found in the sheet
+ * @typedef {Object} SheetProblem
+ * @property {number} row       Row number in the sheet (the header is row 1)
+ * @property {string} id        The row's ID ('' when missing or not applicable)
+ * @property {string} severity  'error' (staff will hit a broken tip) or 'warning'
+ * @property {string} message
+ */
+
+/**
+ * Checks the sheet CSV for the problems parseTips() and the pages would otherwise hide:
+ * rows with the wrong number of cells, missing or duplicate IDs, missing Issue or Steps,
+ * unparseable dates and unknown, duplicate or missing headers.
+ * @returns {{ headers: string[], rowCount: number, tipCount: number, problems: SheetProblem[] }}
+ */
+function lintTipsCSV(csvText) {
+    const records = parseCSVRecords(csvText || '');
+    const problems = [];
+    const headerIndex = records.findIndex(isNonEmptyRecord);
+
+    if (headerIndex === -1) {
+        problems.push({ row: 1, id: '', severity: 'error', message: 'The sheet is empty.' });
+        return { headers: [], rowCount: 0, tipCount: 0, problems: problems };
+    }
+
+    const headerRow = headerIndex + 1;
+    const headers = records[headerIndex].map(h => h.trim());
+
+    const columns = resolveColumns(headers);
+    columns.forEach((column, index) => {
+        if (column.header === '') {
+            problems.push({ row: headerRow, id: '', severity: 'warning', message: `Column ${index + 1} has no header.` });
+        } else if (column.duplicateOf !== -1) {
+            problems.push({ row: headerRow, id: '', severity: 'warning', message: `Column "${column.header}" fills the same field as "${columns[column.duplicateOf].header}", so it is ignored.` });
+        } else if (!column.schema) {
+            problems.push({ row: headerRow, id: '', severity: 'warning', message: `Unknown header "${column.header}" is kept but not shown by the app.` });
+        }
+    });
+    TIP_SCHEMA.filter(entry => entry.required).forEach(entry => {
+        if (!columns.some(column => column.schema === entry)) {
+            problems.push({ row: headerRow, id: '', severity: 'error', message: `Missing the "${entry.column}" column (or one of: ${entry.aliases.join(', ')}).` });
+        }
+    });
+
+    const firstRowById = {};
+    let rowCount = 0;
+    let tipCount = 0;
+
+    for (let i = headerIndex + 1; i < records.length; i++) {
+        const values = records[i];
+        if (!isNonEmptyRecord(values)) continue;
+
+        const row = i + 1;
+        rowCount++;
+
+        const tip = normalizeTip(values, columns);
+        if (values.length !== headers.length) {
+            problems.push({
+                row: row,
+                id: tip.id,
+                severity: 'warning',
+                message: `Row has ${values.length} columns but the header has ${headers.length}; ${values.length < headers.length ? 'missing cells are treated as empty' : 'extra cells are ignored'}. Check for stray commas or quotes.`
+            });
+        }
+        tipCount++;
+
+        if (!tip.id) {
+            problems.push({ row: row, id: '', severity: 'error', message: 'Missing ID: the "Show Steps" link for this tip will not work.' });
+        } else if (firstRowById[tip.id]) {
+            problems.push({ row: row, id: tip.id, severity: 'error', message: `Duplicate ID: row ${firstRowById[tip.id]} uses the same ID, so links always open that row instead.` });
+        } else {
+            firstRowById[tip.id] = row;
+        }
+
+        if (!tip.issue) {
+            problems.push({ row: row, id: tip.id, severity: 'error', message: 'Missing Issue: the card is shown as "Untitled".' });
+        }
+        if (tip.steps.length === 0) {
+            problems.push({ row: row, id: tip.id, severity: 'warning', message: 'Missing Steps: the card has no "Show Steps" button.' });
+        }
+        if (tip.timestamp && isNaN(new Date(tip.timestamp).getTime())) {
+            problems.push({ row: row, id: tip.id, severity: 'warning', message: `Timestamp "${tip.timestamp}" is not a date the app can read, so it is shown as written.` });
+        }
+        values.forEach((value, index) => {
+            const column = columns[index];
+            if (!column || !column.schema || column.schema.field !== 'platforms') return;
+            splitListCell(value, column.schema.separator).filter(name => !normalizePlatform(name)).forEach(name => {
+                problems.push({ row: row, id: tip.id, severity: 'warning', message: `Platform "${name}" is not one the app knows (${PLATFORMS.map(entry => entry.label).join(', ')}), so it is ignored.` });
+            });
+        });
+
+        const labels = getStepLabels(tip);
+        tip.steps.forEach((step, index) => {
+            const flowStep = parseFlowStep(step);
+            const targets = flowStep.question ? flowStep.answers.map(answer => answer.target) : [flowStep.next];
+            targets.filter(target => target !== null && target !== 'end' && !labels.includes(target)).forEach(target => {
+                problems.push({ row: row, id: tip.id, severity: 'warning', message: `Step ${labels[index]} jumps to step ${target}, but the tip has no such step; it carries on with the next step instead.` });
+            });
+            if (flowStep.question && flowStep.answers.length === 0) {
+                problems.push({ row: row, id: tip.id, severity: 'warning', message: `Step ${labels[index]} is a question ("?") with no answers; add them after "|", e.g. "| Yes -> 4 | No -> 2".` });
+            }
+        });
+        tip.media.filter(item => item.step !== null && !labels.includes(item.step)).forEach(item => {
+            problems.push({ row: row, id: tip.id, severity: 'warning', message: `Media "${item.url}" is for step ${item.step}, but the tip has no such step; it is shown with the whole guide instead.` });
+        });
+    }
+
+    return { headers: headers, rowCount: rowCount, tipCount: tipCount, problems: problems };
+}
+
+// ===== Data Fetching =====
+
+/**
+ * Fetches the tips from the given data source
+ * Resolves to { tips, offline, snapshot }:
+ * - offline is true when the tips did not come fresh from the source
+ *   (the service worker's saved copy, or the local fallback CSV)
+ * - snapshot is true when they came from the local fallback CSV
+ * Throws once all retries and the fallback have failed.
+ * @param {DataSource} source
+ */
+async function fetchTips(source) {
+    try {
+        return await fetchTipsFromUrl(source.url);
+    } catch (err) {
+        if (!source.fallbackUrl || source.fallbackUrl === source.url) {
+            throw err;
+        }
+
+        console.warn(`Falling back to ${source.fallbackUrl}`);
+        try {
+            const result = await fetchTipsFromUrl(source.fallbackUrl, 1);
+            return { tips: result.tips, offline: true, snapshot: true };
+        } catch (fallbackErr) {
+            console.error('Fallback CSV failed:', fallbackErr && fallbackErr.message ? fallbackErr.message : fallbackErr);
+            // Report the original problem; that is the one IT needs to fix
+            throw err;
+        }
+    }
+}
+
+/**
+ * Fetches and parses one CSV URL
+ */
+async function fetchTipsFromUrl(url, maxRetries = 3) {
+    const result = await fetchCSVText(url, maxRetries);
+
+    const tips = parseTips(result.text);
+    if (tips.length === 0) {
+        console.error('No data rows found in CSV');
+        console.error('CSV preview:', result.text.substring(0, 1000));
+        throw new Error('CSV file appears to be empty or could not be parsed.');
+    }
+
+    return {
+        tips: tips,
+        offline: result.offline,
+        snapshot: false
+    };
+}
+
+/**
+ * Fetches the synonym groups for a source, or [] when it has no synonyms CSV
+ * @param {DataSource} source
+ * @returns {Promise<string[][]>}
+ */
+async function fetchSynonyms(source) {
+    if (!source.synonymsUrl) return [];
+    const result = await fetchCSVText(source.synonymsUrl, 2);
+    return parseSynonymsCSV(result.text);
+}
+
+/**
+ * Fetches the raw text of one CSV URL with retries and a timeout per attempt
+ * Resolves to { text, offline } (see fetchTips for offline)
+ */
+async function fetchCSVText(url, maxRetries = 3) {
+    const timeoutMs = 10000; // 10s per request
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        const controller = new AbortController();
+        const id = setTimeout(() => controller.abort(), timeoutMs);
+
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            clearTimeout(id);
+
+            if (!response.ok) {
+                const text = await response.text().catch(() => '');
+                console.warn('Non-OK response body preview:', text.substring(0, 200));
+                throw new Error(`HTTP error! status: ${response.status} ${response.statusText}`);
+            }
+
+            const csvText = await response.text();
+            if (!csvText || csvText.trim().length === 0) {
+                throw new Error('CSV file is empty');
+            }
+
+            return {
+                text: csvText,
+                offline: response.headers.get('X-IT-Tips-Offline') === '1'
+            };
+        } catch (err) {
+            clearTimeout(id);
+            console.error(`Fetch attempt ${attempt} failed:`, err && err.message ? err.message : err);
+            if (attempt === maxRetries) {
+                throw err;
+            }
+            // Exponential backoff before retrying
+            const backoff = 300 * Math.pow(2, attempt - 1);
+            await new Promise(res => setTimeout(res, backoff));
+        }
+    }
+    throw new Error('Unknown error');
+}
+
+/**
+ * Turns a fetch error into a short message for users
+ */
+function describeFetchError(error) {
+    if (error && error.name === 'AbortError') return 'Request timed out';
+    return error && error.message ? error.message : 'Unknown error';
+}
+
+// ===== Data Cache Functions =====
+
+function getTipsCacheStorageKey() {
+    return 've-it-tips-data-cache:v6';
+}
+
+/**
+ * Loads the last tips fetched from this source as { fetchedAt, source, tips },
+ * or null when nothing usable is saved
+ * @param {DataSource} source
+ */
+function loadCachedTips(source) {
+    try {
+        const raw = localStorage.getItem(getTipsCacheStorageKey());
+        if (!raw) return null;
+        const parsed = JSON.parse(raw);
+        if (!parsed || !Array.isArray(parsed.tips) || parsed.tips.length === 0 || !parsed.fetchedAt) {
+            return null;
+        }
+        // Never show one sheet's tips while another source is selected
+        if (parsed.source !== source.url) return null;
+        return parsed;
+    } catch (e) {
+        return null;
+    }
+}
+
+function saveCachedTips(tips, source) {
+    const entry = {
+        fetchedAt: new Date().toISOString(),
+        source: source.url,
+        tips: tips
+    };
+    removeOldTipsCaches();
+    try {
+        localStorage.setItem(getTipsCacheStorageKey(), JSON.stringify(entry));
+    } catch (e) {
+        // Ignore storage errors (quota/private mode)
+    }
+    return entry;
+}
+
+/**
+ * Deletes saved copies of the sheet under older versions of the cache key
+ * Each is a full copy of the sheet, and they would otherwise use up the storage checklists,
+ * notes and My Tips need.
+ */
+function removeOldTipsCaches() {
+    try {
+        const oldKeys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i) || '';
+            if (/^ve-it-tips-data-cache:v\d+$/.test(key) && key !== getTipsCacheStorageKey()) oldKeys.push(key);
+        }
+        oldKeys.forEach(key => localStorage.removeItem(key));
+    } catch (e) {
+        // Ignore storage errors (quota/private mode)
+    }
+}
+
+function getSynonymsCacheStorageKey() {
+    return 've-it-tips-synonyms-cache:v1';
+}
+
+/**
+ * Loads the last synonym groups fetched for this source, or null when none are saved
+ * @param {DataSource} source
+ */
+function loadCachedSynonyms(source) {
+    try {
+        const raw = localStorage.getItem(getSynonymsCacheStorageKey());
+        if (!raw) return null;
+        const parsed = JSON.parse(raw);
+        if (!parsed || !Array.isArray(parsed.groups) || parsed.source !== source.synonymsUrl) {
+            return null;
+        }
+        return parsed.groups;
+    } catch (e) {
+        return null;
+    }
+}
+
+function saveCachedSynonyms(groups, source) {
+    try {
+        localStorage.setItem(getSynonymsCacheStorageKey(), JSON.stringify({
+            fetchedAt: new Date().toISOString(),
+            source: source.synonymsUrl,
+            groups: groups
+        }));
+    } catch (e) {
+        // Ignore storage errors (quota/private mode)
+    }
+}
+
+function isCacheFresh(cached) {
+    if (!cached) return false;
+    const age = Date.now() - new Date(cached.fetchedAt).getTime();
+    return age >= 0 && age < CACHE_FRESH_MS;
+}
+
+// ===== Formatting Helpers =====
+
+/**
+ * Escapes HTML to prevent XSS
+ * Quotes are escaped too, so the result is also safe inside a quoted attribute.
+ */
+function escapeHtml(text) {
+    return (text == null ? '' : String(text))
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Formats a sheet timestamp for display, or '' when there is none
+ * Unparseable values are shown as written.
+ */
+function formatTimestamp(timestamp) {
+    if (!timestamp) return '';
+
+    try {
+        const date = new Date(timestamp);
+        if (isNaN(date.getTime())) {
+            return timestamp;
+        }
+        return date.toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+    } catch (error) {
+        return timestamp;
+    }
+}
+
+/**
+ * Formats an ISO timestamp relative to now (e.g. "just now", "5 min ago", "on Oct 3, 2026")
+ */
+function formatRelativeTime(isoString) {
+    const date = new Date(isoString);
+    if (isNaN(date.getTime())) return 'earlier';
+
+    const diffMinutes = Math.round((Date.now() - date.getTime()) / 60000);
+    if (diffMinutes < 1) return 'just now';
+    if (diffMinutes < 60) return `${diffMinutes} min ago`;
+
+    const diffHours = Math.round(diffMinutes / 60);
+    if (diffHours < 24) return `${diffHours} hour${diffHours === 1 ? '' : 's'} ago`;
+
+    return `on ${date.toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+    })}`;
+}
+
+// ===== Data Status Banner =====
+
+/**
+ * Shows the page's #dataStatus banner: where the data on screen came from and how old it is
+ * @param {string} status     'checking', 'fresh', 'updated', 'offline' or 'snapshot'; the last two
+ *   add a "Try again" button that reloads the page
+ * @param {string|null} fetchedAt  When the data was downloaded; fills "{when}" in the message
+ * @param {string} message    The page's wording for this status; '' hides the banner
+ */
+function renderDataStatus(status, fetchedAt, message) {
+    const banner = document.getElementById('dataStatus');
+    if (!banner) return;
+
+    if (!message) {
+        banner.hidden = true;
+        return;
+    }
+
+    const when = fetchedAt ? formatRelativeTime(fetchedAt) : 'an earlier visit';
+    banner.className = `data-status ${status}`;
+    banner.innerHTML = `<span>${escapeHtml(message.replace('{when}', when))}</span>`;
+    if (status === 'offline' || status === 'snapshot') {
+        const retryBtn = document.createElement('button');
+        retryBtn.className = 'data-status-retry';
+        retryBtn.textContent = 'Try again';
+        retryBtn.addEventListener('click', () => location.reload());
+        banner.appendChild(retryBtn);
+    }
+    banner.hidden = false;
+}
+
+// ===== Offline Support =====
+
+/**
+ * Registers the service worker that caches the app shell and the last sheet CSV
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    });
+}
+
+registerServiceWorker();
@@ -0,0 +1,173 @@
+/*
+  Rich text for the Issue, Description and Steps cells
+
+  This file contains the logic for:
+  - A small Markdown-like syntax IT can use in the sheet:
+      [link text](https://example.com)   links, opened in a new tab (bare https:// URLs work too)
+      **bold**
+      `inline code`                      for commands and paths such as `Settings > Accounts`
+      ![alt text](https://example.com/screenshot.png)   images
+  - Rendering it to HTML safely: every piece of text is escaped and only the elements above are
+    ever created, so a cell cannot inject its own HTML or script. URLs must be http(s), mailto:,
+    tel: or relative; anything else (javascript:, data:, ...) is shown as plain text.
+  - Plain-text versions for search, copying and titles
+
+  Load it after data.js and before the page script.
+*/
+
+// One pattern per construct, tried together left to right; the first group that matched tells which
+const RICH_TEXT_PATTERN = new RegExp([
+    '`([^`\\n]+)`',                                 // 1: code
+    '!\\[([^\\]\\n]*)\\]\\(([^\\s)]+)\\)',          // 2, 3: image alt, url
+    '\\[([^\\]\\n]+)\\]\\(([^\\s)]+)\\)',           // 4, 5: link text, url
+    '\\*\\*(?=\\S)([^\\n]*?\\S)\\*\\*',             // 6: bold
+    '(https?:\\/\\/[^\\s<>"]*[^\\s<>".,;:!?)\\]\'])' // 7: bare URL, without trailing punctuation
+].join('|'));
+
+// ===== Parsing =====
+
+/**
+ * One piece of rich text
+ * @typedef {Object} RichTextToken
+ * @property {string} type       'text', 'code', 'bold', 'link' or 'image'
+ * @property {string} [text]     text, code, link text or image alt text
+ * @property {string} [url]      link or image URL as written in the cell
+ * @property {RichTextToken[]} [children]  bold content
+ */
+
+/**
+ * Splits a cell into tokens; unmatched markers ("2 * 3", a lone "`") stay as text
+ * @returns {RichTextToken[]}
+ */
+function parseRichText(text) {
+    const source = String(text || '');
+    const tokens = [];
+    const pattern = new RegExp(RICH_TEXT_PATTERN.source, 'g');
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+        if (match.index > lastIndex) {
+            tokens.push({ type: 'text', text: source.slice(lastIndex, match.index) });
+        }
+
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'code', text: match[1] });
+        } else if (match[3] !== undefined) {
+            tokens.push({ type: 'image', text: match[2], url: match[3] });
+        } else if (match[5] !== undefined) {
+            tokens.push({ type: 'link', text: match[4], url: match[5] });
+        } else if (match[6] !== undefined) {
+            tokens.push({ type: 'bold', children: parseRichText(match[6]) });
+        } else {
+            tokens.push({ type: 'link', text: match[7], url: match[7] });
+        }
+        lastIndex = pattern.lastIndex;
+    }
+
+    if (lastIndex < source.length) {
+        tokens.push({ type: 'text', text: source.slice(lastIndex) });
+    }
+    return tokens;
+}
+
+/**
+ * Returns the URL when it is safe to use in a link (or an image when forImage is set), otherwise ''
+ * Allowed: http(s), mailto: and tel: links, http(s) images, and relative URLs such as assets/wifi.png
+ */
+function sanitizeRichTextUrl(url, forImage) {
+    const value = String(url || '').trim();
+    // Control characters and whitespace can hide a scheme ("java\nscript:")
+    if (!value || /[\u0000-\u0020\u007f]/.test(value)) return '';
+
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(value);
+    if (!scheme) return value;
+
+    const allowed = forImage ? ['http', 'https'] : ['http', 'https', 'mailto', 'tel'];
+    return allowed.includes(scheme[1].toLowerCase()) ? value : '';
+}
+
+// ===== Rendering =====
+
+/**
+ * Renders a cell's rich text as safe HTML
+ * @param {string} text
+ * @param {{ links?: boolean, images?: boolean|string }} [options]  Set links or images to false where they
+ *   do not belong (e.g. titles); their text is shown instead. images: 'omit' leaves images out
+ *   altogether, for pages that show them separately (see getRichTextImages()).
+ * @returns {string}
+ */
+function renderRichText(text, options) {
+    const settings = { links: true, images: true, ...options };
+    return renderRichTextTokens(parseRichText(text), settings);
+}
+
+function renderRichTextTokens(tokens, settings) {
+    return tokens.map(token => {
+        if (token.type === 'code') {
+            return `<code class="rich-code">${escapeHtml(token.text)}</code>`;
+        }
+
+        if (token.type === 'bold') {
+            return `<strong>${renderRichTextTokens(token.children, settings)}</strong>`;
+        }
+
+        if (token.type === 'link') {
+            const url = settings.links ? sanitizeRichTextUrl(token.url, false) : '';
+            if (!url) return escapeHtml(token.text);
+            return `<a class="rich-link" href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(token.text)}</a>`;
+        }
+
+        if (token.type === 'image') {
+            if (settings.images === 'omit') return '';
+            const url = settings.images ? sanitizeRichTextUrl(token.url, true) : '';
+            if (!url) return escapeHtml(token.text);
+            return `<img class="rich-image" src="${escapeHtml(url)}" alt="${escapeHtml(token.text)}" loading="lazy">`;
+        }
+
+        return escapeHtml(token.text);
+    }).join('');
+}
+
+/**
+ * The images written in a cell with ![alt](url) that are safe to show, in order
+ * @returns {{ url: string, alt: string }[]}
+ */
+function getRichTextImages(text) {
+    const images = [];
+    const collect = tokens => tokens.forEach(token => {
+        if (token.type === 'bold') collect(token.children);
+        if (token.type === 'image' && sanitizeRichTextUrl(token.url, true)) {
+            images.push({ url: token.url.trim(), alt: token.text });
+        }
+    });
+    collect(parseRichText(text));
+    return images;
+}
+
+// ===== Plain Text =====
+
+/**
+ * The text a reader sees, without markup: link text, image alt text, code and bold content
+ * Used for searching, sorting and saved titles.
+ */
+function stripRichText(text) {
+    return richTextTokensToPlain(parseRichText(text), false);
+}
+
+/**
+ * Like stripRichText() but keeps link addresses, "Text (https://...)", for copying into emails and tickets
+ */
+function richTextToPlainText(text) {
+    return richTextTokensToPlain(parseRichText(text), true);
+}
+
+function richTextTokensToPlain(tokens, keepUrls) {
+    return tokens.map(token => {
+        if (token.type === 'bold') return richTextTokensToPlain(token.children, keepUrls);
+        if (token.type === 'link' && keepUrls && token.text !== token.url && sanitizeRichTextUrl(token.url, false)) {
+            return `${token.text} (${token.url})`;
+        }
+        return token.text;
+    }).join('');
+}
@@ -0,0 +1,128 @@
+/*
+  Sheet health check page for IT maintainers (health.html)
+
+  Downloads the sheet for the active data source, runs lintTipsCSV() from data.js
+  and lists every problem row so whoever edits the sheet can fix it before staff
+  run into broken tips. Works with ?source=<name> like the other pages.
+*/
+
+function renderHealthSummary(source, report, offline) {
+    const summaryEl = document.getElementById('healthSummary');
+    if (!summaryEl) return;
+
+    const errors = report.problems.filter(p => p.severity === 'error').length;
+    const warnings = report.problems.length - errors;
+    const status = errors > 0 ? 'has-errors' : (warnings > 0 ? 'has-warnings' : 'ok');
+
+    summaryEl.className = `health-summary ${status}`;
+    summaryEl.innerHTML = `
+        <h2 class="health-summary-title">${errors === 0 && warnings === 0 ? 'No problems found' : 'Problems found in the sheet'}</h2>
+        <ul class="health-summary-stats">
+            <li><strong>Data source:</strong> ${escapeHtml(source.label)}</li>
+            <li><strong>Rows in sheet:</strong> ${report.rowCount}</li>
+            <li><strong>Tips shown in the app:</strong> ${report.tipCount}</li>
+            <li><strong>Errors:</strong> ${errors}</li>
+            <li><strong>Warnings:</strong> ${warnings}</li>
+        </ul>
+        ${offline ? '<p class="health-offline">The sheet could not be reached, so this report uses the copy saved for offline use.</p>' : ''}
+    `;
+}
+
+function renderHealthProblems(problems) {
+    const resultsEl = document.getElementById('healthResults');
+    if (!resultsEl) return;
+
+    if (problems.length === 0) {
+        resultsEl.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-icon">✅</div>
+                <h3 class="empty-title">Every row looks good</h3>
+                <p class="empty-message">All rows have an ID, an issue, steps and a readable date.</p>
+            </div>
+        `;
+        return;
+    }
+
+    const sorted = [...problems].sort((a, b) => a.row - b.row);
+    resultsEl.innerHTML = `
+        <table class="health-table">
+            <thead>
+                <tr>
+                    <th scope="col">Row</th>
+                    <th scope="col">ID</th>
+                    <th scope="col">Severity</th>
+                    <th scope="col">Problem</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${sorted.map(problem => `
+                    <tr class="health-row ${problem.severity}">
+                        <td>${problem.row}</td>
+                        <td>${problem.id ? `<a href="steps.html?id=${encodeURIComponent(problem.id)}">${escapeHtml(problem.id)}</a>` : '—'}</td>
+                        <td><span class="health-severity ${problem.severity}">${problem.severity === 'error' ? 'Error' : 'Warning'}</span></td>
+                        <td>${escapeHtml(problem.message)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function showHealthError(message) {
+    const summaryEl = document.getElementById('healthSummary');
+    const resultsEl = document.getElementById('healthResults');
+    if (resultsEl) resultsEl.innerHTML = '';
+    if (!summaryEl) return;
+
+    summaryEl.className = 'health-summary has-errors';
+    summaryEl.innerHTML = `
+        <div class="steps-error-card">
+            <p class="steps-error-title">Unable to check the sheet</p>
+            <p class="steps-error-message">${escapeHtml(message)}</p>
+        </div>
+    `;
+}
+
+async function runHealthCheck() {
+    const summaryEl = document.getElementById('healthSummary');
+    const rerunBtn = document.getElementById('healthRerunButton');
+
+    if (summaryEl) {
+        summaryEl.className = 'health-summary';
+        summaryEl.innerHTML = `
+            <div class="loading-inline">
+                <div class="spinner"></div>
+                <span>Checking the sheet…</span>
+            </div>
+        `;
+    }
+    if (rerunBtn) rerunBtn.disabled = true;
+
+    try {
+        const source = await getActiveSource();
+        const result = await fetchCSVText(source.url);
+        const report = lintTipsCSV(result.text);
+
+        renderHealthSummary(source, report, result.offline);
+        renderHealthProblems(report.problems);
+    } catch (error) {
+        console.error('Health check failed:', error);
+        showHealthError(`Failed to download the sheet: ${describeFetchError(error)}`);
+    } finally {
+        if (rerunBtn) rerunBtn.disabled = false;
+    }
+}
+
+function initHealthPage() {
+    const rerunBtn = document.getElementById('healthRerunButton');
+    if (rerunBtn) {
+        rerunBtn.addEventListener('click', runHealthCheck);
+    }
+    runHealthCheck();
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initHealthPage);
+} else {
+    initHealthPage();
+}
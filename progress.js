@@ -0,0 +1,295 @@
+/*
+  "My progress" page (progress.html)
+
+  Lists every tip with checklist progress saved on this device, with a progress bar and a link
+  to carry on, flags tips that have been removed from the sheet, and clears finished or
+  removed checklists in bulk. Also exports and imports everything saved on this device
+  (see importUserData() in user-data.js). Works with ?source=<name> like the other pages.
+*/
+
+let activeSource = null;
+
+// Tips to compare the saved checklists against; edits and removals are only flagged against an up-to-date sheet
+let progressTips = [];
+let progressTipsFresh = false;
+let progressSheetChecked = false;
+let progressLoaded = false;
+
+// Only an offline load is worth a banner here; see renderDataStatus() in data.js
+const PROGRESS_OFFLINE_MESSAGE = 'The IT tips sheet could not be reached, so titles are from {when} and removed tips are not flagged.';
+
+/**
+ * Loads the tips for the active source: the saved copy when it is fresh, otherwise the sheet
+ * Removed tips are only flagged against a complete, freshly downloaded sheet of the default source
+ * (a test source may not have every tip, and an offline copy may be out of date).
+ * @returns {Promise<{ tips: Tip[], checked: boolean, status: string, fetchedAt: string|null }>}
+ */
+async function loadProgressTips() {
+    activeSource = await getActiveSource();
+    const cached = loadCachedTips(activeSource);
+
+    if (isCacheFresh(cached)) {
+        return { tips: cached.tips, checked: activeSource.isDefault, status: 'fresh', fetchedAt: cached.fetchedAt };
+    }
+
+    try {
+        const result = await fetchTips(activeSource);
+        if (!result.offline) {
+            const entry = saveCachedTips(result.tips, activeSource);
+            return { tips: result.tips, checked: activeSource.isDefault, status: 'fresh', fetchedAt: entry.fetchedAt };
+        }
+        const tips = cached ? cached.tips : result.tips;
+        return { tips: tips, checked: false, status: 'offline', fetchedAt: cached ? cached.fetchedAt : null };
+    } catch (error) {
+        console.error('Could not check the sheet for removed tips:', error);
+        return { tips: cached ? cached.tips : [], checked: false, status: 'offline', fetchedAt: cached ? cached.fetchedAt : null };
+    }
+}
+
+/**
+ * One saved checklist as shown on the page
+ * @typedef {Object} ProgressItem
+ * @property {string} tipId
+ * @property {string} issue
+ * @property {number} completed
+ * @property {number} total
+ * @property {boolean} finished
+ * @property {boolean} removed  The tip is no longer in the sheet
+ * @property {boolean} changed  The guide was edited since the ticks were saved
+ * @property {string|null} updatedAt
+ */
+
+/**
+ * Pairs the saved checklists with the current tips
+ * Checklists with no ticks and no notes (e.g. after a reset) are left out.
+ * @returns {ProgressItem[]}
+ */
+function getProgressItems() {
+    return listSavedChecklists()
+        .filter(({ record }) => record.steps.some(step => step.checked || step.note))
+        .map(({ tipId, record }) => {
+            const tip = findTipById(progressTips, tipId);
+            // Steps for other platforms than the one the user followed do not count
+            const counted = record.steps.filter(step => !step.hidden);
+            const completed = counted.filter(step => step.checked).length;
+            const total = counted.length;
+            return {
+                tipId: tipId,
+                issue: stripRichText((tip && tip.issue) || record.issue) || `Tip ${tipId}`,
+                completed: completed,
+                total: total,
+                finished: total > 0 && completed === total,
+                removed: !tip && progressSheetChecked,
+                changed: Boolean(tip && progressTipsFresh && record.fingerprint && record.fingerprint !== getStepsFingerprint(tip.steps)),
+                updatedAt: record.updatedAt
+            };
+        });
+}
+
+function renderProgressItem(item) {
+    const percent = item.total > 0 ? Math.round((item.completed / item.total) * 100) : 0;
+    const statusClass = item.removed ? 'removed' : (item.finished ? 'finished' : '');
+    const badges = [
+        item.finished ? '<span class="progress-badge finished">Finished</span>' : '',
+        item.removed ? '<span class="progress-badge removed">No longer in the sheet</span>' : '',
+        item.changed ? '<span class="progress-badge changed">Guide updated since</span>' : ''
+    ].join('');
+
+    return `
+        <li class="progress-item ${statusClass}">
+            <div class="progress-item-header">
+                <h2 class="progress-item-title">
+                    ${item.removed ? escapeHtml(item.issue) : `<a href="steps.html?id=${encodeURIComponent(item.tipId)}">${escapeHtml(item.issue)}</a>`}
+                </h2>
+                ${badges}
+            </div>
+            <div class="progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="${item.total}" aria-valuenow="${item.completed}" aria-label="${escapeHtml(item.issue)}">
+                <div class="progress-bar-fill" style="width: ${percent}%"></div>
+            </div>
+            <div class="progress-item-footer">
+                <span class="progress-item-count">${item.completed} of ${item.total} completed${item.updatedAt ? ` · last ticked ${escapeHtml(formatRelativeTime(item.updatedAt))}` : ''}</span>
+                <span class="progress-item-actions">
+                    ${item.removed ? '' : `<a class="progress-resume-link" href="steps.html?id=${encodeURIComponent(item.tipId)}">${item.finished ? 'Open' : 'Resume'} &rarr;</a>`}
+                    <button type="button" class="progress-clear-btn" data-tip-id="${escapeHtml(item.tipId)}">Clear</button>
+                </span>
+            </div>
+        </li>
+    `;
+}
+
+function renderProgressList() {
+    const listEl = document.getElementById('progressList');
+    const actionsEl = document.getElementById('progressActions');
+    const finishedBtn = document.getElementById('clearFinishedButton');
+    const removedBtn = document.getElementById('clearRemovedButton');
+    if (!listEl) return;
+
+    const items = getProgressItems();
+    const finishedCount = items.filter(item => item.finished).length;
+    const removedCount = items.filter(item => item.removed).length;
+
+    if (actionsEl) actionsEl.hidden = items.length === 0;
+    if (finishedBtn) {
+        finishedBtn.textContent = `Clear finished (${finishedCount})`;
+        finishedBtn.disabled = finishedCount === 0;
+    }
+    if (removedBtn) {
+        removedBtn.textContent = `Clear removed tips (${removedCount})`;
+        removedBtn.hidden = removedCount === 0;
+    }
+
+    if (items.length === 0) {
+        listEl.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-icon">📋</div>
+                <h3 class="empty-title">No checklists in progress</h3>
+                <p class="empty-message">Open a tip and click "Checklist" to tick off steps; your progress will be listed here.</p>
+            </div>
+        `;
+        return;
+    }
+
+    // Unfinished first, then finished, then removed; most recently ticked first within each
+    const rank = item => (item.removed ? 2 : (item.finished ? 1 : 0));
+    const sorted = [...items].sort((a, b) => rank(a) - rank(b));
+    listEl.innerHTML = `<ul class="progress-items">${sorted.map(renderProgressItem).join('')}</ul>`;
+}
+
+/**
+ * Clears the checklists matching a filter after asking the user
+ * @param {function(ProgressItem): boolean} predicate
+ */
+function clearProgressItems(predicate, question) {
+    const items = getProgressItems().filter(predicate);
+    if (items.length === 0) return;
+    if (!window.confirm(question.replace('{count}', items.length))) return;
+
+    items.forEach(item => clearChecklistState(item.tipId));
+    renderProgressList();
+}
+
+function initProgressActions() {
+    const finishedBtn = document.getElementById('clearFinishedButton');
+    const removedBtn = document.getElementById('clearRemovedButton');
+    const listEl = document.getElementById('progressList');
+
+    if (finishedBtn) {
+        finishedBtn.addEventListener('click', () => {
+            clearProgressItems(item => item.finished, 'Clear {count} finished checklist(s)?');
+        });
+    }
+
+    if (removedBtn) {
+        removedBtn.addEventListener('click', () => {
+            clearProgressItems(item => item.removed, 'Clear {count} checklist(s) for tips no longer in the sheet?');
+        });
+    }
+
+    const exportBtn = document.getElementById('exportDataButton');
+    const importBtn = document.getElementById('importDataButton');
+    const importInput = document.getElementById('importDataInput');
+
+    if (exportBtn) {
+        exportBtn.addEventListener('click', exportUserData);
+    }
+
+    if (importBtn && importInput) {
+        importBtn.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            if (importInput.files.length > 0) importUserDataFile(importInput.files[0]);
+            // Allow picking the same file again
+            importInput.value = '';
+        });
+    }
+
+    if (listEl) {
+        listEl.addEventListener('click', (event) => {
+            const clearBtn = event.target.closest('.progress-clear-btn');
+            if (!clearBtn) return;
+            const tipId = clearBtn.dataset.tipId;
+            clearProgressItems(item => item.tipId === tipId, 'Clear this checklist?');
+        });
+    }
+}
+
+function showUserDataStatus(message, isError) {
+    const statusEl = document.getElementById('userDataStatus');
+    if (!statusEl) return;
+    statusEl.textContent = message;
+    statusEl.classList.toggle('error', Boolean(isError));
+}
+
+/**
+ * Downloads everything saved on this device as a JSON file
+ */
+function exportUserData() {
+    const file = buildUserDataExport();
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `it-tips-my-data-${file.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    showUserDataStatus(`Exported ${Object.keys(file.data).length} item(s). Keep the file somewhere you can reach from the new device.`);
+}
+
+/**
+ * Describes what an import changed, e.g. "Imported: 2 My Tips, 3 checklists."
+ */
+function describeImportResult(result) {
+    const parts = Object.keys(result.updated)
+        .filter(label => result.updated[label] > 0)
+        .map(label => `${result.updated[label]} ${label}`);
+
+    let message = parts.length > 0
+        ? `Imported: ${parts.join(', ')}.`
+        : 'Nothing new to import; this device already has everything in the file.';
+    if (result.skipped > 0) {
+        message += ` ${result.skipped} item(s) in the file were not recognised and were skipped.`;
+    }
+    return message;
+}
+
+async function importUserDataFile(fileObj) {
+    try {
+        const result = importUserData(await fileObj.text());
+        showUserDataStatus(describeImportResult(result));
+        renderProgressList();
+    } catch (error) {
+        showUserDataStatus(error.message, true);
+    }
+}
+
+async function initProgressPage() {
+    initProgressActions();
+
+    try {
+        const result = await loadProgressTips();
+        progressTips = result.tips;
+        progressTipsFresh = result.status === 'fresh';
+        progressSheetChecked = result.checked;
+        renderDataStatus(result.status, result.fetchedAt, result.status === 'offline' ? PROGRESS_OFFLINE_MESSAGE : '');
+    } catch (error) {
+        console.error('Error loading data source configuration:', error);
+        renderDataStatus('offline', null, PROGRESS_OFFLINE_MESSAGE);
+    }
+
+    progressLoaded = true;
+    renderProgressList();
+}
+
+// Checklists ticked in another tab show up when coming back to this one
+document.addEventListener('visibilitychange', () => {
+    if (progressLoaded && document.visibilityState === 'visible') renderProgressList();
+});
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initProgressPage);
+} else {
+    initProgressPage();
+}
@@ -1,65 +1,35 @@
 /*
-  JavaScript file for fetching and rendering cards
+  JavaScript file for rendering cards on the main page
   
   This file contains the logic for:
-  - Fetching IT tips data from a Google Sheet CSV export
-  - Parsing CSV data into objects
   - Rendering tip cards dynamically on the page
   - Handling user interactions with search, filters, and step toggles
+  - Ranked search results with matched words highlighted (search logic lives in search.js)
+  - Links, bold, code and images written in the sheet cells (formatting lives in format.js)
+  - Keeping the search and filters in the address so a filtered view can be shared or bookmarked
+  - Sorting the cards (choice remembered on this device)
+  - Tag chips on cards and a multi-select tag filter with live counts
   - Loading states (skeleton screens, spinner, error states)
+  - Showing the last downloaded tips instantly while refreshing in the background
   - Recently viewed tips functionality
-*/
+  - Pinning favorites with the star button, the "My Tips" strip and the "My Tips only" filter
+  - "New" / "Updated" badges and a "What's new" filter for tips changed since the last visit
 
-// Configuration: Google Sheet CSV export URL (published)
-// Format: https://docs.google.com/spreadsheets/d/e/{PUBLISHED_ID}/pub?output=csv
-const GOOGLE_SHEET_CSV_URL = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vRySrOei6t0p90wolpc8EXrJ5B27pLi2ssZDZGrltJbESEQJgokOKPVBRSb520dcixS84VG0ky7yVug/pub?output=csv';
+  Fetching, parsing and caching the sheet lives in data.js.
+*/
 
 // Global state
 let allTips = [];
 let filteredTips = [];
+let activeSource = null;
+let searchIndex = buildSearchIndex([]);
+let searchSynonyms = buildSynonymDictionary([]);
+let searchMatches = new Map(); // tip -> words the current search matched, for highlighting
+let selectedTags = []; // lowercase tag names; a tip must have all of them
+let visitBaseline = null; // tips seen before this visit, for "New" / "Updated" badges
 
 // ===== Recently Viewed Functions =====
 
-function getRecentlyViewedStorageKey() {
-    return 've-it-tips-recently-viewed:v1';
-}
-
-function loadRecentlyViewed() {
-    try {
-        const raw = localStorage.getItem(getRecentlyViewedStorageKey());
-        if (!raw) return [];
-        return JSON.parse(raw);
-    } catch (e) {
-        return [];
-    }
-}
-
-function saveRecentlyViewed(tipId, issue) {
-    try {
-        let recent = loadRecentlyViewed();
-        
-        // Remove if already exists (to move to top)
-        recent = recent.filter(item => item.id !== tipId);
-        
-        // Add to front
-        recent.unshift({
-            id: tipId,
-            issue: issue,
-            viewedAt: new Date().toISOString()
-        });
-        
-        // Keep only last 10
-        recent = recent.slice(0, 10);
-        
-        localStorage.setItem(getRecentlyViewedStorageKey(), JSON.stringify(recent));
-    try {
-        sessionStorage.setItem('ve-it-tips-has-recent', '1');
-    } catch (e) {}
-    } catch (e) {
-        // Ignore storage errors
-    }
-}
-
 function renderRecentlyViewed() {
     const recent = loadRecentlyViewed();
     const section = document.getElementById('recentlyViewedSection');
@@ -89,7 +59,7 @@ function renderRecentlyViewed() {
     container.innerHTML = recent.map(item => `
         <a href="steps.html?id=${encodeURIComponent(item.id)}" class="recent-item">
             <span class="recent-item-icon">📋</span>
-            ${escapeHtml(item.issue)}
+            ${escapeHtml(stripRichText(item.issue))}
         </a>
     `).join('');
 }
@@ -118,6 +88,97 @@ function toggleRecentlyViewed() {
 // Make functions available globally
 window.toggleRecentlyViewed = toggleRecentlyViewed;
 
+// ===== Favorites Functions =====
+
+/**
+ * Renders the "My Tips" strip from the saved pins; hidden when nothing is pinned
+ * Titles come from the loaded sheet when available, otherwise from the saved pin.
+ */
+function renderMyTips() {
+    const section = document.getElementById('myTipsSection');
+    const container = document.getElementById('myTipsList');
+    if (!section || !container) return;
+
+    const favorites = loadFavorites();
+    section.hidden = favorites.length === 0;
+
+    container.innerHTML = favorites.map(item => {
+        const tip = findTipById(allTips, item.id);
+        const issue = tip ? tip.issue : item.issue;
+        return `
+            <a href="steps.html?id=${encodeURIComponent(item.id)}" class="recent-item">
+                <span class="recent-item-icon">⭐</span>
+                ${escapeHtml(stripRichText(issue) || 'Untitled')}
+            </a>
+        `;
+    }).join('');
+}
+
+/**
+ * Sets a star button's look and label for the pinned state
+ */
+function setFavoriteButtonState(button, pinned, issue) {
+    button.classList.toggle('pinned', pinned);
+    button.setAttribute('aria-pressed', pinned ? 'true' : 'false');
+    button.setAttribute('aria-label', `${pinned ? 'Unpin' : 'Pin'} ${stripRichText(issue) || 'this tip'} ${pinned ? 'from' : 'to'} My Tips`);
+    button.textContent = pinned ? '★' : '☆';
+}
+
+/**
+ * Brings every star on the page in line with the saved pins (e.g. after pinning on steps.html)
+ */
+function updateFavoriteButtons() {
+    const favoriteIds = new Set(loadFavorites().map(item => item.id));
+    document.querySelectorAll('.favorite-btn').forEach(button => {
+        const tip = findTipById(allTips, button.dataset.tipId);
+        setFavoriteButtonState(button, favoriteIds.has(button.dataset.tipId), tip ? tip.issue : '');
+    });
+}
+
+function handleFavoriteClick(button) {
+    const tip = findTipById(allTips, button.dataset.tipId);
+    if (!tip) return;
+
+    const pinned = toggleFavorite(tip.id, tip.issue);
+    setFavoriteButtonState(button, pinned, tip.issue);
+    renderMyTips();
+
+    // An unpinned tip no longer belongs in the "My Tips only" list
+    if (document.getElementById('favoritesFilter').checked) {
+        filterTips();
+    }
+}
+
+// ===== What's New Functions =====
+
+/**
+ * Shows the "What's new" filter with the number of new and updated tips,
+ * hidden when there are none (unless it is switched on, so it can be switched off)
+ */
+function renderWhatsNewFilter() {
+    const container = document.getElementById('whatsNewFilterContainer');
+    const checkbox = document.getElementById('whatsNewFilter');
+    const label = document.getElementById('whatsNewFilterLabel');
+    if (!container || !checkbox || !label) return;
+
+    const count = allTips.filter(tip => getTipChangeStatus(tip, visitBaseline)).length;
+    label.textContent = `🆕 What's new (${count})`;
+    container.hidden = count === 0 && !checkbox.checked;
+}
+
+/**
+ * Badge for a tip that is new or changed since the last visit, or ''
+ */
+function renderChangeBadge(tip) {
+    const status = getTipChangeStatus(tip, visitBaseline);
+    if (!status) return '';
+
+    const label = status === 'new' ? 'New' : 'Updated';
+    const date = formatTimestamp(tip.timestamp);
+    const title = date ? `${label} since your last visit (${date})` : `${label} since your last visit`;
+    return `<span class="change-badge ${status}" title="${escapeHtml(title)}">${label}</span>`;
+}
+
 // ===== Loading State Functions =====
 
 function showSkeletons(count = 6) {
@@ -174,232 +235,37 @@ function showEmptyState() {
     `;
 }
 
-// ===== CSV Parsing Functions =====
-
-/**
- * Parses CSV text into an array of objects
- * Handles quoted fields, commas within quotes, and newlines within quotes
- */
-function parseCSV(csvText) {
-    if (!csvText || csvText.trim() === '') return [];
-    
-    const rows = parseCSVRows(csvText);
-    if (rows.length === 0) return [];
-
-    // Extract headers (first row)
-    const headers = rows[0].map(h => h.trim());
-    
-    // Parse data rows
-    const data = [];
-    for (let i = 1; i < rows.length; i++) {
-        const values = rows[i];
-        if (values.length === headers.length) {
-            const obj = {};
-            headers.forEach((header, index) => {
-                obj[header] = values[index] ? values[index].trim() : '';
-            });
-            data.push(obj);
-        } else if (values.length > 0) {
-            // Log mismatched rows for debugging
-            console.warn(`Row ${i + 1} has ${values.length} columns, expected ${headers.length}`);
-        }
-    }
-    
-    return data;
-}
-
-/**
- * Parses CSV text into rows, handling quoted fields with newlines
- * This is a more robust parser that handles all CSV edge cases
- */
-function parseCSVRows(csvText) {
-    // Remove BOM (Byte Order Mark) if present
-    if (csvText.length > 0 && csvText.charCodeAt(0) === 0xFEFF) {
-        csvText = csvText.slice(1);
-    }
-    
-    const rows = [];
-    let currentRow = [];
-    let currentField = '';
-    let inQuotes = false;
-    let i = 0;
-    
-    while (i < csvText.length) {
-        const char = csvText[i];
-        const nextChar = csvText[i + 1];
-        
-        if (char === '"') {
-            if (inQuotes && nextChar === '"') {
-                // Escaped quote (double quote) - add single quote to field
-                currentField += '"';
-                i += 2; // Skip both quotes
-                continue;
-            } else {
-                // Toggle quote state
-                inQuotes = !inQuotes;
-                i++;
-                continue;
-            }
-        }
-        
-        if (!inQuotes) {
-            // We're outside quotes, so commas and newlines are delimiters
-            if (char === ',') {
-                // End of field
-                currentRow.push(currentField);
-                currentField = '';
-                i++;
-                continue;
-            } else if (char === '\n') {
-                // End of row
-                currentRow.push(currentField);
-                // Only add row if it has at least one non-empty field
-                if (currentRow.length > 0 && currentRow.some(field => field.trim() !== '')) {
-                    rows.push(currentRow);
-                }
-                currentRow = [];
-                currentField = '';
-                i++;
-                continue;
-            } else if (char === '\r') {
-                // Handle Windows line endings (\r\n)
-                if (nextChar === '\n') {
-                    // End of row (\r\n)
-                    currentRow.push(currentField);
-                    if (currentRow.length > 0 && currentRow.some(field => field.trim() !== '')) {
-                        rows.push(currentRow);
-                    }
-                    currentRow = [];
-                    currentField = '';
-                    i += 2; // Skip both \r and \n
-                    continue;
-                } else {
-                    // Standalone \r (Mac line ending)
-                    currentRow.push(currentField);
-                    if (currentRow.length > 0 && currentRow.some(field => field.trim() !== '')) {
-                        rows.push(currentRow);
-                    }
-                    currentRow = [];
-                    currentField = '';
-                    i++;
-                    continue;
-                }
-            }
-        }
-        
-        // Regular character - add to current field
-        currentField += char;
-        i++;
-    }
-    
-    // Add last field and row (if not empty)
-    if (currentField !== '' || currentRow.length > 0) {
-        currentRow.push(currentField);
-        if (currentRow.length > 0 && currentRow.some(field => field.trim() !== '')) {
-            rows.push(currentRow);
-        }
-    }
-    
-    console.log(`Parsed ${rows.length} rows from CSV`);
-    if (rows.length > 0) {
-        console.log(`First row has ${rows[0].length} columns:`, rows[0].slice(0, 3).map(f => f.substring(0, 30)));
-    }
-    
-    return rows;
-}
-
-// ===== Data Fetching =====
-
-/**
- * Fetches CSV data from Google Sheets
- */
-async function fetchCSVData() {
-    const maxRetries = 3;
-    const timeoutMs = 10000; // 10s per request
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        const controller = new AbortController();
-        const id = setTimeout(() => controller.abort(), timeoutMs);
-
-        try {
-            console.log(`CSV fetch attempt ${attempt} to ${GOOGLE_SHEET_CSV_URL}`);
-            const response = await fetch(GOOGLE_SHEET_CSV_URL, { signal: controller.signal });
-            clearTimeout(id);
-
-            console.log('Response status:', response.status, response.statusText);
-            if (!response.ok) {
-                const text = await response.text().catch(() => '');
-                console.warn('Non-OK response body preview:', text.substring(0, 200));
-                throw new Error(`HTTP error! status: ${response.status} ${response.statusText}`);
-            }
-
-            const csvText = await response.text();
-            if (!csvText || csvText.trim().length === 0) {
-                throw new Error('CSV file is empty');
-            }
-
-            const parsedData = parseCSV(csvText);
-            if (parsedData.length === 0) {
-                console.error('No data rows found in CSV');
-                console.error('CSV preview:', csvText.substring(0, 1000));
-                throw new Error('CSV file appears to be empty or could not be parsed.');
-            }
-
-            return parsedData;
-        } catch (err) {
-            clearTimeout(id);
-            console.error(`Fetch attempt ${attempt} failed:`, err && err.message ? err.message : err);
-            if (attempt === maxRetries) {
-                const message = err && err.name === 'AbortError' ? 'Request timed out' : (err && err.message ? err.message : 'Unknown error');
-                showErrorState(`Failed to load tips data: ${message}`);
-                return [];
-            }
-            // Exponential backoff before retrying
-            const backoff = 300 * Math.pow(2, attempt - 1);
-            await new Promise(res => setTimeout(res, backoff));
-        }
-    }
-    return [];
-}
-
-// ===== Initialization =====
+// ===== Data Status Banner =====
 
 /**
- * Initialize the application
+ * The main page's wording for renderDataStatus() in data.js, with the data source when it is not the default
  */
-async function init() {
-    // Show skeleton cards while loading
-    showSkeletons(6);
-    
-    try {
-        allTips = await fetchCSVData();
-        
-        if (allTips.length === 0) {
-            return; // Error already shown in fetchCSVData
-        }
-        
-        filteredTips = [...allTips];
-        populateCategoryFilter();
-        renderCards();
-        renderRecentlyViewed();
-        
-    } catch (error) {
-        console.error('Initialization error:', error);
-        showErrorState('An unexpected error occurred. Please try again.');
+function getDataStatusMessage(status) {
+    const messages = {
+        checking: 'Showing saved tips from {when}. Checking for updates…',
+        fresh: 'Data last refreshed {when}.',
+        updated: 'New changes loaded. Data last refreshed {when}.',
+        offline: 'Showing cached tips from {when} because the IT tips sheet could not be reached.',
+        snapshot: 'Showing the offline copy of the tips that ships with this app because the IT tips sheet could not be reached.'
+    };
+
+    let message = messages[status] || '';
+    if (activeSource && !activeSource.isDefault) {
+        message += ` Data source: ${activeSource.label}.`;
     }
+    return message;
 }
 
-// Start the app when DOM is ready
-document.addEventListener('DOMContentLoaded', init);
-
 // Ensure recently viewed is refreshed when returning via back/forward cache or tab visibility
 window.addEventListener('pageshow', (event) => {
     try { renderRecentlyViewed(); } catch (e) {}
+    try { renderMyTips(); updateFavoriteButtons(); } catch (e) {}
 });
 
 document.addEventListener('visibilitychange', () => {
     if (document.visibilityState === 'visible') {
         try { renderRecentlyViewed(); } catch (e) {}
+        try { renderMyTips(); updateFavoriteButtons(); } catch (e) {}
     }
 });
 
@@ -410,7 +276,10 @@ document.addEventListener('visibilitychange', () => {
  */
 function populateCategoryFilter() {
     const categoryFilter = document.getElementById('categoryFilter');
-    const categories = [...new Set(allTips.map(tip => tip.Category).filter(Boolean))].sort();
+    const categories = [...new Set(allTips.map(tip => tip.category).filter(Boolean))].sort();
+    
+    // Before the first render the choice can only come from the address (?category=)
+    const selectedCategory = categoryFilter.value || readFilterStateFromUrl().category;
     
     // Clear existing options except "All Categories"
     categoryFilter.innerHTML = '<option value="">All Categories</option>';
@@ -422,94 +291,317 @@ function populateCategoryFilter() {
         option.textContent = category;
         categoryFilter.appendChild(option);
     });
+
+    // Keep the user's choice when the list is rebuilt after a background refresh
+    if (categories.includes(selectedCategory)) {
+        categoryFilter.value = selectedCategory;
+    }
 }
 
 /**
  * Gets the badge class based on category
  */
 function getCategoryBadgeClass(category) {
-    const categories = [...new Set(allTips.map(tip => tip.Category).filter(Boolean))];
+    const categories = [...new Set(allTips.map(tip => tip.category).filter(Boolean))];
     const index = categories.indexOf(category);
     const classes = ['primary', 'secondary', 'accent'];
     return classes[index % classes.length];
 }
 
+// ===== URL State =====
+
+// Filter state kept in the query string (state key -> parameter name); add new filters here
+const FILTER_URL_PARAMS = {
+    search: 'q',
+    category: 'category',
+    sort: 'sort',
+    tags: 'tags',
+    favorites: 'fav',
+    whatsNew: 'new'
+};
+
+/**
+ * Reads the filter state from the address, e.g. ?q=notifications&category=Slack
+ */
+function readFilterStateFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const state = {};
+    Object.keys(FILTER_URL_PARAMS).forEach(key => {
+        state[key] = params.get(FILTER_URL_PARAMS[key]) || '';
+    });
+    return state;
+}
+
+/**
+ * Reads the filter state from the controls on the page
+ */
+function getCurrentFilterState() {
+    const sort = document.getElementById('sortSelect').value;
+    return {
+        search: document.getElementById('searchInput').value.trim(),
+        category: document.getElementById('categoryFilter').value,
+        sort: sort === DEFAULT_SORT ? '' : sort,
+        tags: selectedTags.join(','),
+        favorites: document.getElementById('favoritesFilter').checked ? '1' : '',
+        whatsNew: document.getElementById('whatsNewFilter').checked ? '1' : ''
+    };
+}
+
+/**
+ * Puts the state from the address back into the controls
+ * The category is selected by populateCategoryFilter() once the categories are known.
+ */
+function restoreFiltersFromUrl() {
+    const state = readFilterStateFromUrl();
+    document.getElementById('searchInput').value = state.search;
+    setSortSelection(state.sort || loadSortPreference());
+    selectedTags = [...new Set(state.tags.split(',').map(normalizeTag).filter(Boolean))];
+    document.getElementById('favoritesFilter').checked = state.favorites === '1';
+    document.getElementById('whatsNewFilter').checked = state.whatsNew === '1';
+}
+
+/**
+ * Writes the current filters into the address without adding a history entry,
+ * so the link can be shared and Back from a tip returns to the same view.
+ * Other parameters (such as ?source=) are left alone.
+ */
+function updateUrlFromFilters() {
+    const state = getCurrentFilterState();
+    const params = new URLSearchParams(window.location.search);
+
+    Object.keys(FILTER_URL_PARAMS).forEach(key => {
+        if (state[key]) {
+            params.set(FILTER_URL_PARAMS[key], state[key]);
+        } else {
+            params.delete(FILTER_URL_PARAMS[key]);
+        }
+    });
+
+    const query = params.toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+        history.replaceState(history.state, '', url);
+    }
+    saveListQuery();
+}
+
+/**
+ * Remembers the list's query string for the "Back to all tips" links on steps.html
+ */
+function saveListQuery() {
+    try {
+        sessionStorage.setItem(getListQueryStorageKey(), window.location.search);
+    } catch (e) {
+        // Ignore storage errors (private mode)
+    }
+}
+
+// ===== Sorting Functions =====
+
+const DEFAULT_SORT = 'relevance';
+
+function loadSortPreference() {
+    try {
+        return localStorage.getItem(getSortStorageKey()) || DEFAULT_SORT;
+    } catch (e) {
+        return DEFAULT_SORT;
+    }
+}
+
+function saveSortPreference(sort) {
+    try {
+        localStorage.setItem(getSortStorageKey(), sort);
+    } catch (e) {
+        // Ignore storage errors (quota/private mode)
+    }
+}
+
+/**
+ * Selects a sort option, falling back to the default for unknown values (e.g. an old link)
+ */
+function setSortSelection(sort) {
+    const sortSelect = document.getElementById('sortSelect');
+    const known = [...sortSelect.options].some(option => option.value === sort);
+    sortSelect.value = known ? sort : DEFAULT_SORT;
+}
+
+/**
+ * Milliseconds for a tip's Timestamp, or -Infinity when it cannot be read (sorted last)
+ */
+function getTipTime(tip) {
+    const time = new Date(tip.timestamp).getTime();
+    return isNaN(time) ? -Infinity : time;
+}
+
+function compareText(a, b) {
+    // Empty values go last
+    if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+    return a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true });
+}
+
+/**
+ * Returns the tips in the chosen order
+ * "Best match" keeps the incoming order: relevance while searching, sheet order otherwise.
+ * Ties keep the incoming order too, so e.g. "Category" lists the best matches first within each category.
+ */
+function sortTips(tips, sort) {
+    const sorted = [...tips];
+
+    switch (sort) {
+        case 'newest':
+            // "|| 0" turns NaN (both dates unreadable) into a tie
+            sorted.sort((a, b) => getTipTime(b) - getTipTime(a) || 0);
+            break;
+        case 'az':
+            sorted.sort((a, b) => compareText(stripRichText(a.issue), stripRichText(b.issue)));
+            break;
+        case 'category':
+            sorted.sort((a, b) => compareText(a.category, b.category));
+            break;
+        case 'steps':
+            // Tips without steps have nothing to open, so they go last
+            sorted.sort((a, b) => (a.steps.length || Infinity) - (b.steps.length || Infinity) || 0);
+            break;
+        case 'views': {
+            const counts = loadViewCounts();
+            sorted.sort((a, b) => (counts[b.id] || 0) - (counts[a.id] || 0));
+            break;
+        }
+    }
+
+    return sorted;
+}
+
+// ===== Tag Functions =====
+
+/**
+ * Tags are matched ignoring case and surrounding spaces ("Zoom " and "zoom" are the same tag)
+ */
+function normalizeTag(tag) {
+    return String(tag || '').trim().toLowerCase();
+}
+
+function tipHasTag(tip, tag) {
+    return tip.tags.some(tipTag => normalizeTag(tipTag) === tag);
+}
+
+/**
+ * Toggles a tag in the tag filter and re-filters the list
+ */
+function toggleTagFilter(tag) {
+    const key = normalizeTag(tag);
+    if (!key) return;
+
+    selectedTags = selectedTags.includes(key)
+        ? selectedTags.filter(selected => selected !== key)
+        : [...selectedTags, key];
+    filterTips();
+}
+
+function clearTagFilters() {
+    selectedTags = [];
+    filterTips();
+}
+
+/**
+ * Renders the tag filter: the selected tags (each removable) and every other tag
+ * with the number of tips shown if it were added. Hidden when the sheet has no tags.
+ */
+function renderTagFacets() {
+    const panel = document.getElementById('tagFacets');
+    if (!panel) return;
+
+    // Label each tag as first written in the sheet
+    const labels = new Map();
+    allTips.forEach(tip => tip.tags.forEach(tag => {
+        const key = normalizeTag(tag);
+        if (key && !labels.has(key)) labels.set(key, tag.trim());
+    }));
+
+    if (labels.size === 0 && selectedTags.length === 0) {
+        panel.hidden = true;
+        panel.innerHTML = '';
+        return;
+    }
+
+    const selectedHTML = selectedTags.map(tag => `
+        <button type="button" class="tag-facet selected" data-tag="${escapeHtml(tag)}" aria-pressed="true" aria-label="Remove tag filter ${escapeHtml(labels.get(tag) || tag)}">
+            ${escapeHtml(labels.get(tag) || tag)} <span aria-hidden="true">×</span>
+        </button>
+    `).join('');
+
+    // Counts are for the current list, so they always add up to what a click would show
+    const optionsHTML = [...labels.keys()]
+        .filter(tag => !selectedTags.includes(tag))
+        .map(tag => ({ tag: tag, count: filteredTips.filter(tip => tipHasTag(tip, tag)).length }))
+        .filter(facet => facet.count > 0)
+        .sort((a, b) => b.count - a.count || compareText(labels.get(a.tag), labels.get(b.tag)))
+        .map(facet => `
+            <button type="button" class="tag-facet" data-tag="${escapeHtml(facet.tag)}" aria-pressed="false">
+                ${escapeHtml(labels.get(facet.tag))} <span class="tag-facet-count">${facet.count}</span>
+            </button>
+        `).join('');
+
+    panel.innerHTML = `
+        <div class="tag-facets-header">
+            <span class="tag-facets-title">Filter by tags${selectedTags.length > 1 ? ' (tips with all selected tags)' : ''}:</span>
+            ${selectedTags.length > 0 ? '<button type="button" class="tag-facets-clear">Clear tags</button>' : ''}
+        </div>
+        <div class="tag-facets-list">
+            ${selectedHTML}${optionsHTML}
+        </div>
+    `;
+    panel.hidden = false;
+}
+
 // ===== Filtering Functions =====
 
 /**
  * Filters tips based on search query and category
  */
 function filterTips() {
-    const searchQuery = document.getElementById('searchInput').value.toLowerCase().trim();
-    const selectedCategory = document.getElementById('categoryFilter').value;
+    updateUrlFromFilters();
 
     // Show inline loading state while filtering so users get feedback
     showLoading();
 
     // Defer heavy work slightly so the loading spinner can render
     setTimeout(() => {
-        filteredTips = allTips.filter(tip => {
-            // Search filter (Issue or Description)
-            const matchesSearch = !searchQuery || 
-                (tip.Issue && tip.Issue.toLowerCase().includes(searchQuery)) ||
-                (tip.Description && tip.Description.toLowerCase().includes(searchQuery));
-            
-            // Category filter
-            const matchesCategory = !selectedCategory || tip.Category === selectedCategory;
-            
-            return matchesSearch && matchesCategory;
-        });
-
+        applyFilters();
         renderCards();
+        renderTagFacets();
     }, 50);
 }
 
-// ===== Rendering Functions =====
-
 /**
- * Formats timestamp for display
+ * Recomputes filteredTips from allTips using the current search, category, tags, favorites,
+ * "What's new" and sort
+ * With a search query and "Best match" the tips are ordered by relevance, otherwise in sheet order.
  */
-function formatTimestamp(timestamp) {
-    if (!timestamp) return 'N/A';
-    
-    try {
-        const date = new Date(timestamp);
-        if (isNaN(date.getTime())) {
-            // Try parsing as different formats
-            return timestamp;
-        }
-        return date.toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric'
-        });
-    } catch (error) {
-        return timestamp;
-    }
-}
+function applyFilters() {
+    const searchQuery = document.getElementById('searchInput').value.trim();
+    const selectedCategory = document.getElementById('categoryFilter').value;
 
-/**
- * Parses steps string into an array
- * Handles numbered lists, bullet points, or newline-separated steps
- */
-function parseSteps(stepsString) {
-    if (!stepsString) return [];
-    
-    // Split by newlines and filter empty lines
-    let steps = stepsString.split(/\n/).filter(step => step.trim() !== '');
-    
-    // Remove numbering/bullets if present (e.g., "1.", "1. ", "1)", "- ", "* ")
-    steps = steps.map(step => {
-        // Handle numbered steps: "1.", "1. ", "1)", "1) " (with or without space)
-        step = step.replace(/^\d+[\.\)]\s*/, '');
-        // Handle bullet points: "- ", "* ", "• " (with space)
-        step = step.replace(/^[-*•]\s+/, '');
-        return step.trim();
-    });
-    
-    return steps.filter(step => step.length > 0);
+    const favoritesOnly = document.getElementById('favoritesFilter').checked;
+    const favoriteIds = new Set(loadFavorites().map(item => item.id));
+    const whatsNewOnly = document.getElementById('whatsNewFilter').checked;
+
+    const results = searchTips(searchIndex, searchQuery, searchSynonyms);
+    searchMatches = new Map(results.map(result => [result.tip, result.matchedWords]));
+
+    filteredTips = sortTips(
+        results
+            .map(result => result.tip)
+            .filter(tip => !selectedCategory || tip.category === selectedCategory)
+            .filter(tip => selectedTags.every(tag => tipHasTag(tip, tag)))
+            .filter(tip => !favoritesOnly || favoriteIds.has(tip.id))
+            .filter(tip => !whatsNewOnly || getTipChangeStatus(tip, visitBaseline)),
+        document.getElementById('sortSelect').value
+    );
 }
 
+// ===== Rendering Functions =====
+
 /**
  * Renders a single tip card
  */
@@ -518,38 +610,70 @@ function renderCard(tip, index) {
     card.className = 'card';
     card.setAttribute('data-index', index);
     
-    const steps = parseSteps(tip.Steps || '');
-    const hasSteps = steps.length > 0;
-    const tipId = tip.ID || '';
+    const hasSteps = tip.steps.length > 0;
+    const tipId = tip.id;
     const stepsUrl = `steps.html?id=${encodeURIComponent(tipId)}`;
     
     // Category badge
-    const categoryBadge = tip.Category ? 
-        `<span class="category-badge ${getCategoryBadgeClass(tip.Category)}">${escapeHtml(tip.Category)}</span>` : 
+    const categoryBadge = tip.category ? 
+        `<span class="category-badge ${getCategoryBadgeClass(tip.category)}">${escapeHtml(tip.category)}</span>` : 
         '';
     
     // Steps toggle button
     const stepsButtonHTML = hasSteps ? `
-        <a class="steps-toggle-btn" href="${stepsUrl}" aria-label="Show steps for ${escapeHtml(tip.Issue || 'this tip')}" role="button">
+        <a class="steps-toggle-btn" href="${stepsUrl}" aria-label="Show steps for ${escapeHtml(stripRichText(tip.issue) || 'this tip')}" role="button">
             Show Steps
         </a>
     ` : '';
     
+    // Tag chips; clicking one filters the list by that tag
+    const tagsHTML = tip.tags.length > 0 ? `
+        <div class="card-tags">
+            ${tip.tags.map(tag => `<button type="button" class="tag-chip${selectedTags.includes(normalizeTag(tag)) ? ' selected' : ''}" data-tag="${escapeHtml(normalizeTag(tag))}" aria-label="Filter by tag ${escapeHtml(tag)}">${escapeHtml(tag)}</button>`).join('')}
+        </div>
+    ` : '';
+    
+    // Platforms the tip covers, with this device's platform highlighted
+    const devicePlatform = getPreferredPlatform();
+    const platformsHTML = tip.platforms.length > 0 ? `
+        <p class="card-platforms" aria-label="Covers ${escapeHtml(tip.platforms.map(getPlatformLabel).join(', '))}">
+            ${tip.platforms.map(id => `<span class="platform-chip${id === devicePlatform ? ' current' : ''}">${escapeHtml(getPlatformLabel(id))}</span>`).join('')}
+        </p>
+    ` : '';
+    
+    // When the search matched words only found in the steps, show that step as the reason
+    const matchedWords = searchMatches.get(tip);
+    const matchingStep = findMatchingStep(tip, matchedWords);
+    const matchingStepHTML = matchingStep ? `
+        <p class="card-match"><strong>Step ${escapeHtml(matchingStep.label)}:</strong> <span class="card-match-text">${renderRichText(matchingStep.text, { images: false })}</span></p>
+    ` : '';
+    
     card.innerHTML = `
         <div class="card-header">
             ${categoryBadge}
-            <h2 class="card-title">${escapeHtml(tip.Issue || 'Untitled')}</h2>
+            ${renderChangeBadge(tip)}
+            <button type="button" class="favorite-btn" data-tip-id="${escapeHtml(tipId)}"></button>
+            <h2 class="card-title">${tip.issue ? renderRichText(tip.issue, { links: false, images: false }) : 'Untitled'}</h2>
         </div>
-        <p class="card-description">${escapeHtml(tip.Description || 'No description available.')}</p>
+        <p class="card-description">${tip.description ? renderRichText(tip.description, { images: false }) : 'No description available.'}</p>
+        ${platformsHTML}
+        ${tagsHTML}
+        ${matchingStepHTML}
         <div class="steps-container">
             ${stepsButtonHTML}
         </div>
         <div class="card-footer">
-            <p><strong>Created by:</strong> ${escapeHtml(tip.CreatedBy || 'Unknown')}</p>
-            <p><strong>Date:</strong> ${formatTimestamp(tip.Timestamp)}</p>
+            <p><strong>Created by:</strong> ${escapeHtml(tip.createdBy || 'Unknown')}</p>
+            <p><strong>Date:</strong> ${escapeHtml(formatTimestamp(tip.timestamp) || 'N/A')}</p>
         </div>
     `;
     
+    setFavoriteButtonState(card.querySelector('.favorite-btn'), isFavorite(tipId), tip.issue);
+    
+    ['.card-title', '.card-description', '.card-match-text'].forEach(selector => {
+        highlightSearchMatches(card.querySelector(selector), matchedWords);
+    });
+    
     return card;
 }
 
@@ -571,15 +695,6 @@ function renderCards() {
     });
 }
 
-/**
- * Escapes HTML to prevent XSS
- */
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-}
-
 // ===== Modal Functions =====
 
 /**
@@ -591,7 +706,7 @@ function showStepsModal(title, steps) {
     const stepsList = document.getElementById('modalStepsList');
 
     // Set title
-    modalTitle.textContent = title;
+    modalTitle.textContent = stripRichText(title);
 
     // Clear existing steps
     stepsList.innerHTML = '';
@@ -599,7 +714,7 @@ function showStepsModal(title, steps) {
     // Add steps
     steps.forEach(step => {
         const li = document.createElement('li');
-        li.innerHTML = `<div class="step-content">${escapeHtml(step)}</div>`;
+        li.innerHTML = `<div class="step-content">${renderRichText(getStepDisplayText(step))}</div>`;
         stepsList.appendChild(li);
     });
 
@@ -679,6 +794,7 @@ function showError(message) {
 function initializeEventListeners() {
     const searchInput = document.getElementById('searchInput');
     const categoryFilter = document.getElementById('categoryFilter');
+    const sortSelect = document.getElementById('sortSelect');
     
     // Search input event (debounced for performance)
     let searchTimeout;
@@ -693,57 +809,175 @@ function initializeEventListeners() {
     categoryFilter.addEventListener('change', () => {
         filterTips();
     });
+
+    // Tag filter and tag chips on cards (delegated, as both are re-rendered on every filter)
+    document.getElementById('tagFacets').addEventListener('click', (event) => {
+        if (event.target.closest('.tag-facets-clear')) {
+            clearTagFilters();
+            return;
+        }
+        const facet = event.target.closest('.tag-facet');
+        if (facet) toggleTagFilter(facet.dataset.tag);
+    });
+    
+    document.getElementById('cardsContainer').addEventListener('click', (event) => {
+        const favoriteButton = event.target.closest('.favorite-btn');
+        if (favoriteButton) {
+            handleFavoriteClick(favoriteButton);
+            return;
+        }
+        
+        const chip = event.target.closest('.tag-chip');
+        if (!chip) return;
+        // Chips add a tag; remove tags from the filter panel
+        if (!selectedTags.includes(chip.dataset.tag)) toggleTagFilter(chip.dataset.tag);
+    });
+    
+    // "My Tips only" filter
+    document.getElementById('favoritesFilter').addEventListener('change', () => {
+        filterTips();
+    });
+    
+    // "What's new" filter
+    document.getElementById('whatsNewFilter').addEventListener('change', () => {
+        filterTips();
+    });
+    
+    // Sort change event; the choice is remembered for the next visit
+    sortSelect.addEventListener('change', () => {
+        saveSortPreference(sortSelect.value);
+        filterTips();
+    });
 }
 
 // ===== Initialization =====
 
 /**
  * Initializes the application
+ * Renders saved tips straight away (if any), then refreshes from the sheet in the background
  */
 async function init() {
+    let cached = null;
+
     try {
-        // Show loading state
-        const container = document.getElementById('cardsContainer');
-        container.innerHTML = `
-            <div style="grid-column: 1 / -1; text-align: center; padding: 3rem; color: #666;">
-                <p>Loading tips...</p>
-            </div>
-        `;
-        
-        // Fetch and parse data
-        allTips = await fetchCSVData();
-        
-        // Check if fetchCSVData already showed an error (by checking if container has error message)
-        const currentContent = container.innerHTML;
-        if (currentContent.includes('⚠️ Error')) {
-            // Error already displayed by fetchCSVData, don't overwrite it
-            return;
+        activeSource = await getActiveSource();
+        cached = loadCachedTips(activeSource);
+        visitBaseline = getVisitBaseline(activeSource);
+        searchSynonyms = buildSynonymDictionary(loadCachedSynonyms(activeSource) || []);
+        restoreFiltersFromUrl();
+        saveListQuery();
+
+        if (cached) {
+            allTips = cached.tips;
+            saveSeenTips(allTips, activeSource);
+            showTips();
+            renderDataStatus('checking', cached.fetchedAt, getDataStatusMessage('checking'));
+        } else {
+            // Show skeleton cards while loading
+            showSkeletons(6);
         }
         
-        if (allTips.length === 0) {
-            showError('No tips data found. Please check the Google Sheet URL and ensure it is published as CSV.\n\nCheck the browser console (F12) for detailed error information.');
-            return;
-        }
-        
-        console.log('✅ Successfully loaded', allTips.length, 'tips');
-        
-        // Populate category filter
-        populateCategoryFilter();
-        
-        // Initialize filtered tips (show all initially)
-        filteredTips = [...allTips];
-        
-        // Render cards
-        renderCards();
-        
         // Initialize event listeners
         initializeEventListeners();
-        
+        renderMyTips();
+        renderRecentlyViewed();
     } catch (error) {
         console.error('Initialization error:', error);
         console.error('Error stack:', error.stack);
         showError(`An error occurred while initializing the application: ${error.message}\n\nCheck the browser console (F12) for detailed error information.`);
+        return;
+    }
+
+    // Synonyms are optional: load them alongside the tips and never hold up the list
+    refreshSynonyms();
+    await refreshTips(cached);
+}
+
+/**
+ * Downloads the synonym dictionary and re-runs the current search when it changed
+ */
+async function refreshSynonyms() {
+    let groups;
+    try {
+        groups = await fetchSynonyms(activeSource);
+    } catch (error) {
+        console.warn('Could not load search synonyms, using the saved copy:', describeFetchError(error));
+        return;
+    }
+
+    const saved = loadCachedSynonyms(activeSource);
+    saveCachedSynonyms(groups, activeSource);
+    if (JSON.stringify(saved) === JSON.stringify(groups)) return;
+
+    searchSynonyms = buildSynonymDictionary(groups);
+    if (allTips.length > 0 && document.getElementById('searchInput').value.trim()) {
+        applyFilters();
+        renderCards();
+    }
+}
+
+/**
+ * Fetches the latest sheet and updates the list in place when it changed
+ */
+async function refreshTips(cached) {
+    let result;
+    try {
+        result = await fetchTips(activeSource);
+    } catch (error) {
+        if (cached) {
+            renderDataStatus('offline', cached.fetchedAt, getDataStatusMessage('offline'));
+        } else {
+            showErrorState(`Failed to load tips data: ${describeFetchError(error)}`);
+        }
+        return;
+    }
+
+    console.log('✅ Successfully loaded', result.tips.length, 'tips');
+
+    if (result.offline) {
+        // A saved copy or the bundled snapshot; only use it if we have nothing better
+        if (!cached) {
+            allTips = result.tips;
+            showTips();
+        }
+        if (cached) {
+            renderDataStatus('offline', cached.fetchedAt, getDataStatusMessage('offline'));
+        } else {
+            const status = result.snapshot ? 'snapshot' : 'offline';
+            renderDataStatus(status, null, getDataStatusMessage(status));
+        }
+        return;
+    }
+
+    const changed = !cached || JSON.stringify(cached.tips) !== JSON.stringify(result.tips);
+    const entry = saveCachedTips(result.tips, activeSource);
+    saveSeenTips(result.tips, activeSource);
+
+    // Quietly drop pins for tips deleted from the sheet (a test source may not have every tip)
+    if (activeSource.isDefault) {
+        pruneFavorites(result.tips);
     }
+
+    if (changed) {
+        allTips = result.tips;
+        showTips();
+    }
+
+    renderMyTips();
+    const status = cached && changed ? 'updated' : 'fresh';
+    renderDataStatus(status, entry.fetchedAt, getDataStatusMessage(status));
+}
+
+/**
+ * Rebuilds the category list and cards from allTips, keeping the current search and filter
+ */
+function showTips() {
+    searchIndex = buildSearchIndex(allTips);
+    populateCategoryFilter();
+    renderWhatsNewFilter();
+    applyFilters();
+    renderCards();
+    renderTagFacets();
 }
 
 // Start the application when DOM is ready
@@ -0,0 +1,345 @@
+/*
+  Client-side search for the main page
+
+  This file contains the logic for:
+  - Building a search index over Issue, Description, Steps, Category, Keywords and Tags
+    (as the reader sees them: link text but not addresses, see stripRichText() in format.js)
+  - Ranking tips by relevance (title matches count most)
+  - Matching every word of a multi-word query, with prefix and typo tolerance
+  - Expanding queries through the synonym dictionary ("pwd" also finds "password")
+  - Highlighting the matched words in rendered cards
+
+  Load it after data.js and format.js, and before script.js.
+*/
+
+// How much a match in each field counts towards a tip's score
+const SEARCH_FIELD_WEIGHTS = {
+    issue: 10,
+    keywords: 6,
+    category: 4,
+    description: 3,
+    steps: 1
+};
+
+// How much each kind of word match counts (multiplied by the field weight)
+const SEARCH_MATCH_QUALITY = {
+    exact: 1,
+    prefix: 0.6,
+    typo: 0.4
+};
+
+// Matches found through a synonym count a little less than the words the user typed
+const SEARCH_SYNONYM_WEIGHT = 0.8;
+
+// Longest synonym phrase (in words) looked for in a query
+const SEARCH_MAX_PHRASE_WORDS = 4;
+
+// ===== Tokenizing =====
+
+/**
+ * Lowercases a word and strips accents so "Café" and "cafe" match
+ */
+function normalizeSearchWord(word) {
+    return word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Splits text into normalized words ("Wi-Fi won't connect" -> ["wi", "fi", "won", "t", "connect"])
+ */
+function tokenizeSearchText(text) {
+    return normalizeSearchWord(String(text || '')).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// ===== Index =====
+
+/**
+ * Builds the search index for a list of tips
+ * Rebuild it whenever the tips change; it is cheap for a sheet of a few hundred rows.
+ * @param {Tip[]} tips
+ */
+function buildSearchIndex(tips) {
+    const vocabulary = new Set();
+
+    const documents = tips.map(tip => {
+        const fields = {
+            issue: tokenizeSearchText(stripRichText(tip.issue)),
+            keywords: tokenizeSearchText([...tip.keywords, ...tip.tags].join(' ')),
+            category: tokenizeSearchText(tip.category),
+            description: tokenizeSearchText(stripRichText(tip.description)),
+            steps: tokenizeSearchText(stripRichText(tip.steps.join('\n')))
+        };
+
+        const wordSets = {};
+        Object.keys(fields).forEach(field => {
+            wordSets[field] = new Set(fields[field]);
+            fields[field].forEach(word => vocabulary.add(word));
+        });
+
+        return { tip: tip, wordSets: wordSets };
+    });
+
+    return { documents: documents, vocabulary: [...vocabulary], expansions: new Map() };
+}
+
+/**
+ * Maximum number of typos tolerated for a query word of this length
+ * Short words must match exactly, otherwise "vpn" would also match "pin".
+ */
+function getAllowedTypos(length) {
+    if (length < 4) return 0;
+    if (length < 8) return 1;
+    return 2;
+}
+
+/**
+ * Edit distance between two words, counting a swap of neighbours ("pasword"/"passowrd") as one typo
+ * Gives up early and returns max + 1 once the distance is known to exceed max.
+ */
+function getEditDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousPrevious[j - 2] + 1);
+            }
+            current[j] = value;
+            rowMin = Math.min(rowMin, value);
+        }
+
+        if (rowMin > max) return max + 1;
+        previousPrevious = previous;
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Finds the indexed words a query word should match, with the quality of each match
+ * @returns {Map<string, number>} indexed word -> match quality
+ */
+function expandSearchWord(index, queryWord) {
+    if (index.expansions.has(queryWord)) return index.expansions.get(queryWord);
+
+    const matches = new Map();
+    const allowedTypos = getAllowedTypos(queryWord.length);
+
+    index.vocabulary.forEach(word => {
+        if (word === queryWord) {
+            matches.set(word, SEARCH_MATCH_QUALITY.exact);
+        } else if (queryWord.length >= 2 && word.startsWith(queryWord)) {
+            matches.set(word, SEARCH_MATCH_QUALITY.prefix);
+        } else if (allowedTypos > 0 && getEditDistance(queryWord, word, allowedTypos) <= allowedTypos) {
+            matches.set(word, SEARCH_MATCH_QUALITY.typo);
+        }
+    });
+
+    index.expansions.set(queryWord, matches);
+    return matches;
+}
+
+// ===== Synonyms =====
+
+/**
+ * Builds the lookup used to expand queries from the synonym groups loaded by fetchSynonyms()
+ * Every phrase in a group finds all the others, so "wifi, wireless" works in both directions.
+ * @param {string[][]} groups
+ * @returns {Map<string, string[][]>} normalized phrase -> the other phrases of its groups, as word lists
+ */
+function buildSynonymDictionary(groups) {
+    const dictionary = new Map();
+
+    groups.forEach(group => {
+        const phrases = group.map(tokenizeSearchText).filter(words => words.length > 0);
+        phrases.forEach(words => {
+            const key = words.join(' ');
+            const alternatives = dictionary.get(key) || [];
+            phrases.forEach(other => {
+                const otherKey = other.join(' ');
+                if (otherKey !== key && !alternatives.some(existing => existing.join(' ') === otherKey)) {
+                    alternatives.push(other);
+                }
+            });
+            dictionary.set(key, alternatives);
+        });
+    });
+
+    return dictionary;
+}
+
+/**
+ * Splits the query words into concepts; each concept must be found in a tip
+ * A run of words that is a synonym phrase ("google workspace email") stays together,
+ * longest phrase first, and carries its alternatives.
+ * @returns {{ alternatives: { words: string[], weight: number }[] }[]}
+ */
+function getQueryConcepts(queryWords, synonyms) {
+    const concepts = [];
+    let i = 0;
+
+    while (i < queryWords.length) {
+        let length = Math.min(SEARCH_MAX_PHRASE_WORDS, queryWords.length - i);
+        while (length > 1 && !(synonyms && synonyms.has(queryWords.slice(i, i + length).join(' ')))) {
+            length--;
+        }
+
+        const words = queryWords.slice(i, i + length);
+        const alternatives = [{ words: words, weight: 1 }];
+        const synonymPhrases = synonyms ? synonyms.get(words.join(' ')) : null;
+        (synonymPhrases || []).forEach(phrase => {
+            alternatives.push({ words: phrase, weight: SEARCH_SYNONYM_WEIGHT });
+        });
+
+        concepts.push({ alternatives: alternatives });
+        i += length;
+    }
+
+    return concepts;
+}
+
+// ===== Searching =====
+
+/**
+ * One ranked search result
+ * @typedef {Object} SearchResult
+ * @property {Tip} tip
+ * @property {number} score
+ * @property {Set<string>} matchedWords  Indexed words that matched, for highlighting
+ */
+
+/**
+ * Scores one word against a tip: the best field weight times match quality, or 0 when it is not found
+ */
+function scoreSearchWord(index, doc, queryWord, matchedWords) {
+    let best = 0;
+    const candidates = expandSearchWord(index, queryWord);
+
+    Object.keys(SEARCH_FIELD_WEIGHTS).forEach(field => {
+        candidates.forEach((quality, word) => {
+            if (!doc.wordSets[field].has(word)) return;
+            matchedWords.add(word);
+            best = Math.max(best, SEARCH_FIELD_WEIGHTS[field] * quality);
+        });
+    });
+
+    return best;
+}
+
+/**
+ * Searches the index; every word in the query (or a synonym of it) must match somewhere in the tip
+ * Results are sorted best first, keeping sheet order for equal scores.
+ * @param {Map<string, string[][]>} [synonyms]  From buildSynonymDictionary()
+ * @returns {SearchResult[]}
+ */
+function searchTips(index, query, synonyms) {
+    const queryWords = tokenizeSearchText(query);
+    if (queryWords.length === 0) {
+        return index.documents.map(doc => ({ tip: doc.tip, score: 0, matchedWords: new Set() }));
+    }
+
+    const concepts = getQueryConcepts(queryWords, synonyms);
+    const phrase = queryWords.join(' ');
+    const results = [];
+
+    index.documents.forEach((doc, position) => {
+        let score = 0;
+        const matchedWords = new Set();
+
+        const allMatched = concepts.every(concept => {
+            let best = 0;
+            concept.alternatives.forEach(alternative => {
+                // A phrase only counts when all of its words are found
+                const wordMatches = new Set();
+                let total = 0;
+                const complete = alternative.words.every(word => {
+                    const wordScore = scoreSearchWord(index, doc, word, wordMatches);
+                    total += wordScore;
+                    return wordScore > 0;
+                });
+                if (!complete) return;
+
+                wordMatches.forEach(word => matchedWords.add(word));
+                best = Math.max(best, alternative.weight * total / alternative.words.length);
+            });
+            score += best;
+            return best > 0;
+        });
+
+        if (!allMatched) return;
+
+        // Typing the start of a title ("outlook not") should put that tip first
+        if (queryWords.length > 1 && tokenizeSearchText(stripRichText(doc.tip.issue)).join(' ').includes(phrase)) {
+            score += SEARCH_FIELD_WEIGHTS.issue;
+        }
+
+        results.push({ tip: doc.tip, score: score, matchedWords: matchedWords, position: position });
+    });
+
+    results.sort((a, b) => b.score - a.score || a.position - b.position);
+    return results.map(({ tip, score, matchedWords }) => ({ tip, score, matchedWords }));
+}
+
+// ===== Highlighting =====
+
+/**
+ * Wraps every word in element's text whose normalized form is in matchedWords with <mark>
+ * Works on text nodes only, so existing markup (and escaping) is left untouched.
+ */
+function highlightSearchMatches(element, matchedWords) {
+    if (!element || !matchedWords || matchedWords.size === 0) return;
+
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+        if (!walker.currentNode.parentNode.closest('mark')) textNodes.push(walker.currentNode);
+    }
+
+    textNodes.forEach(node => {
+        const text = node.nodeValue;
+        const wordPattern = /[\p{L}\p{N}\p{M}]+/gu;
+        const fragment = document.createDocumentFragment();
+        let lastIndex = 0;
+        let found = false;
+        let match;
+
+        while ((match = wordPattern.exec(text)) !== null) {
+            if (!matchedWords.has(normalizeSearchWord(match[0]))) continue;
+            found = true;
+            fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.textContent = match[0];
+            fragment.appendChild(mark);
+            lastIndex = match.index + match[0].length;
+        }
+
+        if (!found) return;
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+        node.parentNode.replaceChild(fragment, node);
+    });
+}
+
+/**
+ * Returns the first step containing a matched word that the card's title and description do not show,
+ * so cards can explain why they matched. Returns null when the card text already explains it.
+ * @returns {{ label: string, text: string }|null}
+ */
+function findMatchingStep(tip, matchedWords) {
+    if (!matchedWords || matchedWords.size === 0) return null;
+
+    const shownWords = new Set(tokenizeSearchText(stripRichText(`${tip.issue}\n${tip.description}`)));
+    const hiddenWords = [...matchedWords].filter(word => !shownWords.has(word));
+    if (hiddenWords.length === 0) return null;
+
+    const index = tip.steps.findIndex(step => tokenizeSearchText(stripRichText(step)).some(word => hiddenWords.includes(word)));
+    return index === -1 ? null : { label: getStepLabels(tip)[index], text: getStepDisplayText(tip.steps[index]) };
+}
@@ -43,6 +43,12 @@ while ($listener.IsListening) {
             ".html" { "text/html; charset=utf-8" }
             ".css" { "text/css; charset=utf-8" }
             ".js" { "application/javascript; charset=utf-8" }
+            ".json" { "application/json; charset=utf-8" }
+            ".webmanifest" { "application/manifest+json; charset=utf-8" }
+            ".csv" { "text/csv; charset=utf-8" }
+            ".svg" { "image/svg+xml" }
+            ".png" { "image/png" }
+            ".jpg" { "image/jpeg" }
             default { "application/octet-stream" }
         }
 
@@ -1,47 +1,6 @@
-// Configuration: reuse the same Google Sheet CSV export URL as the main page
-const GOOGLE_SHEET_CSV_URL = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vRySrOei6t0p90wolpc8EXrJ5B27pLi2ssZDZGrltJbESEQJgokOKPVBRSb520dcixS84VG0ky7yVug/pub?output=csv';
-
-// ===== Recently Viewed Functions =====
-
-function getRecentlyViewedStorageKey() {
-    return 've-it-tips-recently-viewed:v1';
-}
-
-function loadRecentlyViewed() {
-    try {
-        const raw = localStorage.getItem(getRecentlyViewedStorageKey());
-        if (!raw) return [];
-        return JSON.parse(raw);
-    } catch (e) {
-        return [];
-    }
-}
-
-function saveRecentlyViewed(tipId, issue) {
-    try {
-        let recent = loadRecentlyViewed();
-        
-        // Remove if already exists (to move to top)
-        recent = recent.filter(item => item.id !== tipId);
-        
-        // Add to front
-        recent.unshift({
-            id: tipId,
-            issue: issue,
-            viewedAt: new Date().toISOString()
-        });
-        
-        // Keep only last 10
-        recent = recent.slice(0, 10);
-        
-        localStorage.setItem(getRecentlyViewedStorageKey(), JSON.stringify(recent));
-        try {
-            sessionStorage.setItem('ve-it-tips-has-recent', '1');
-        } catch (e) {}
-    } catch (e) {
-        // Ignore storage errors
-    }
-}
+// Steps detail page logic (sections and sub-steps, platform variants, checklist with notes and summary, question-and-answer flows,
+// screenshots and lightbox, copy, print, pin to My Tips).
+// Fetching, parsing and caching the sheet lives in data.js.
 
 // ===== QR Code Function =====
 
@@ -78,181 +37,62 @@ function getQueryParam(name) {
     return params.get(name);
 }
 
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text == null ? '' : String(text);
-    return div.innerHTML;
-}
-
-function parseCSVRows(csvText) {
-    if (csvText.length > 0 && csvText.charCodeAt(0) === 0xFEFF) {
-        csvText = csvText.slice(1);
-    }
-
-    const rows = [];
-    let currentRow = [];
-    let currentField = '';
-    let inQuotes = false;
-    let i = 0;
-
-    while (i < csvText.length) {
-        const char = csvText[i];
-        const nextChar = csvText[i + 1];
-
-        if (char === '"') {
-            if (inQuotes && nextChar === '"') {
-                currentField += '"';
-                i += 2;
-                continue;
-            } else {
-                inQuotes = !inQuotes;
-                i++;
-                continue;
-            }
-        }
-
-        if (!inQuotes) {
-            if (char === ',') {
-                currentRow.push(currentField);
-                currentField = '';
-                i++;
-                continue;
-            } else if (char === '\n') {
-                currentRow.push(currentField);
-                if (currentRow.length > 0 && currentRow.some(field => field.trim() !== '')) {
-                    rows.push(currentRow);
-                }
-                currentRow = [];
-                currentField = '';
-                i++;
-                continue;
-            } else if (char === '\r') {
-                if (nextChar === '\n') {
-                    currentRow.push(currentField);
-                    if (currentRow.length > 0 && currentRow.some(field => field.trim() !== '')) {
-                        rows.push(currentRow);
-                    }
-                    currentRow = [];
-                    currentField = '';
-                    i += 2;
-                    continue;
-                } else {
-                    currentRow.push(currentField);
-                    if (currentRow.length > 0 && currentRow.some(field => field.trim() !== '')) {
-                        rows.push(currentRow);
-                    }
-                    currentRow = [];
-                    currentField = '';
-                    i++;
-                    continue;
-                }
-            }
-        }
-
-        currentField += char;
-        i++;
-    }
-
-    if (currentField !== '' || currentRow.length > 0) {
-        currentRow.push(currentField);
-        if (currentRow.length > 0 && currentRow.some(field => field.trim() !== '')) {
-            rows.push(currentRow);
-        }
-    }
-
-    return rows;
-}
-
-function parseCSV(csvText) {
-    if (!csvText || csvText.trim() === '') return [];
-
-    const rows = parseCSVRows(csvText);
-    if (rows.length === 0) return [];
-
-    const headers = rows[0].map(h => h.trim());
-    const data = [];
-
-    for (let i = 1; i < rows.length; i++) {
-        const values = rows[i];
-        if (values.length === headers.length) {
-            const obj = {};
-            headers.forEach((header, index) => {
-                obj[header] = values[index] ? values[index].trim() : '';
-            });
-            data.push(obj);
-        }
+/**
+ * Points the "Back to all tips" links at the list the user came from, with its search and filters
+ * (saved by script.js as the list's query string)
+ */
+function restoreBackLinks() {
+    let listQuery = '';
+    try {
+        listQuery = sessionStorage.getItem(getListQueryStorageKey()) || '';
+    } catch (e) {
+        return;
     }
+    if (!listQuery) return;
 
-    return data;
-}
-
-function parseSteps(stepsString) {
-    if (!stepsString) return [];
-
-    let steps = stepsString.split(/\n/).filter(step => step.trim() !== '');
-
-    steps = steps.map(step => {
-        step = step.replace(/^\d+[\.\)]\s*/, '');
-        step = step.replace(/^[-*•]\s+/, '');
-        return step.trim();
+    document.querySelectorAll('.steps-back-link').forEach(link => {
+        link.setAttribute('href', `index.html${listQuery}`);
     });
-
-    return steps.filter(step => step.length > 0);
 }
 
-function formatTimestamp(timestamp) {
-    if (!timestamp) return '';
-
-    try {
-        const date = new Date(timestamp);
-        if (isNaN(date.getTime())) {
-            return timestamp;
-        }
-        return date.toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric'
-        });
-    } catch (error) {
-        return timestamp;
+/**
+ * The steps page's wording for renderDataStatus() in data.js, with the data source when it is not the default
+ */
+function getDataStatusMessage(status) {
+    const messages = {
+        checking: 'Showing saved steps from {when}. Checking for updates…',
+        fresh: 'Data last refreshed {when}.',
+        updated: 'This tip was updated. Data last refreshed {when}.',
+        offline: 'Showing cached steps from {when} because the IT tips sheet could not be reached.',
+        snapshot: 'Showing the offline copy of this tip that ships with this app because the IT tips sheet could not be reached.'
+    };
+
+    let message = messages[status] || '';
+    if (activeSource && !activeSource.isDefault) {
+        message += ` Data source: ${activeSource.label}.`;
     }
+    return message;
 }
 
-async function fetchCSVData() {
-    const maxRetries = 3;
-    const timeoutMs = 10000;
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        const controller = new AbortController();
-        const id = setTimeout(() => controller.abort(), timeoutMs);
-
-        try {
-            const response = await fetch(GOOGLE_SHEET_CSV_URL, { signal: controller.signal });
-            clearTimeout(id);
-
-            if (!response.ok) {
-                const text = await response.text().catch(() => '');
-                console.warn('Non-OK response preview:', text.substring(0, 200));
-                throw new Error(`HTTP error! status: ${response.status} ${response.statusText}`);
-            }
-
-            const csvText = await response.text();
-            if (!csvText || csvText.trim().length === 0) {
-                throw new Error('CSV file is empty');
-            }
-
-            return parseCSV(csvText);
-        } catch (err) {
-            clearTimeout(id);
-            console.error(`fetchCSVData attempt ${attempt} failed:`, err && err.message ? err.message : err);
-            if (attempt === maxRetries) {
-                throw err;
-            }
-            const backoff = 300 * Math.pow(2, attempt - 1);
-            await new Promise(res => setTimeout(res, backoff));
-        }
+/**
+ * Keeps Tab and Shift+Tab cycling through the buttons and links of an open dialog
+ */
+function keepFocusInside(event, container) {
+    const focusable = Array.from(container.querySelectorAll('button, a[href]'))
+        .filter(el => !el.disabled && !el.closest('[hidden]'));
+    if (focusable.length === 0) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+    } else if (!focusable.includes(document.activeElement)) {
+        event.preventDefault();
+        first.focus();
     }
-    return [];
 }
 
 function showStepsError(message) {
@@ -269,52 +109,38 @@ function showStepsError(message) {
     `;
 }
 
-function getChecklistStorageKey(tipId) {
-    return `ve-it-tips-checklist:${tipId}:v1`;
-}
-
-function loadChecklistState(tipId, totalSteps) {
-    try {
-        const raw = localStorage.getItem(getChecklistStorageKey(tipId));
-        if (!raw) return null;
-        const parsed = JSON.parse(raw);
-        if (!Array.isArray(parsed)) return null;
-
-        const arr = parsed.map(v => Boolean(v));
-        if (typeof totalSteps === 'number' && totalSteps >= 0) {
-            if (arr.length > totalSteps) return arr.slice(0, totalSteps);
-            if (arr.length < totalSteps) {
-                return [...arr, ...new Array(totalSteps - arr.length).fill(false)];
-            }
-        }
-        return arr;
-    } catch (e) {
-        return null;
-    }
-}
-
-function saveChecklistState(tipId, checkedArray) {
-    try {
-        localStorage.setItem(getChecklistStorageKey(tipId), JSON.stringify(checkedArray));
-    } catch (e) {
-        // Ignore storage errors (quota/private mode)
-    }
+// ===== Checklist Functions =====
+
+/**
+ * Tells the user the guide changed since they last ticked through it and offers to start over
+ * or keep the ticks and notes on steps that are unchanged
+ * @param {number} unchangedSteps  How many of their ticked or noted steps are still in the guide word for word
+ * @param {{ restart: Function, keep: Function }} actions
+ */
+function showChecklistChangeNotice(unchangedSteps, actions) {
+    const notice = document.getElementById('checklistChangeNotice');
+    if (!notice) return;
+
+    const keepLabel = unchangedSteps === 1 ? 'Keep my progress on the unchanged step' : `Keep my progress on the ${unchangedSteps} unchanged steps`;
+    notice.innerHTML = `
+        <p><strong>This guide has changed since you last worked through it.</strong>
+        ${unchangedSteps > 0 ? 'Some steps are the same as before.' : 'None of the steps you ticked or added notes to are the same as before.'}</p>
+        <div class="checklist-notice-actions">
+            <button type="button" class="checklist-notice-restart">Start over</button>
+            ${unchangedSteps > 0 ? `<button type="button" class="checklist-notice-keep">${keepLabel}</button>` : ''}
+        </div>
+    `;
+    notice.querySelector('.checklist-notice-restart').addEventListener('click', actions.restart);
+    const keepBtn = notice.querySelector('.checklist-notice-keep');
+    if (keepBtn) keepBtn.addEventListener('click', actions.keep);
+    notice.hidden = false;
 }
 
-function normalizeSequentialState(checkedArray) {
-    if (!Array.isArray(checkedArray)) return checkedArray;
-    const normalized = [...checkedArray];
-    let foundFirstUnchecked = false;
-    for (let i = 0; i < normalized.length; i++) {
-        if (foundFirstUnchecked) {
-            normalized[i] = false;
-            continue;
-        }
-        if (!normalized[i]) {
-            foundFirstUnchecked = true;
-        }
-    }
-    return normalized;
+function hideChecklistChangeNotice() {
+    const notice = document.getElementById('checklistChangeNotice');
+    if (!notice) return;
+    notice.hidden = true;
+    notice.innerHTML = '';
 }
 
 function updateProgress(progressEl, completedCount, total) {
@@ -322,12 +148,31 @@ function updateProgress(progressEl, completedCount, total) {
     progressEl.textContent = `${completedCount} of ${total} completed`;
 }
 
-function applyChecklistState(checkboxes, checkedArray) {
-    checkboxes.forEach((checkbox, idx) => {
-        checkbox.checked = Boolean(checkedArray?.[idx]);
-        const li = checkbox.closest('li');
-        if (li) {
-            li.classList.toggle('completed', checkbox.checked);
+/**
+ * Shows the saved ticks, tick times and notes on the rendered steps
+ * @param {HTMLElement[]} items  The steps list's <li> elements
+ * @param {ChecklistEntry[]} entries
+ */
+function applyChecklistState(items, entries) {
+    items.forEach((li, idx) => {
+        const entry = entries[idx] || createChecklistEntry(null);
+        const checkbox = li.querySelector('.steps-check-input');
+        const timeEl = li.querySelector('.step-checked-time');
+        const noteInput = li.querySelector('.step-note-input');
+        const noteToggle = li.querySelector('.step-note-toggle');
+
+        if (checkbox) checkbox.checked = entry.checked;
+        li.classList.toggle('completed', entry.checked);
+
+        if (timeEl) {
+            timeEl.textContent = entry.checked && entry.checkedAt ? `Ticked ${formatTickTime(entry.checkedAt)}` : '';
+        }
+        if (noteInput && document.activeElement !== noteInput) {
+            noteInput.value = entry.note;
+            noteInput.hidden = !entry.note;
+        }
+        if (noteToggle) {
+            noteToggle.hidden = Boolean(entry.note) || (noteInput && !noteInput.hidden);
         }
     });
 }
@@ -354,6 +199,101 @@ function syncSequentialAvailability(checkboxes) {
     }
 }
 
+/**
+ * Time a step was ticked: "10:42" today, otherwise with the date
+ */
+function formatTickTime(isoString) {
+    const date = new Date(isoString);
+    if (isNaN(date.getTime())) return '';
+
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    if (date.toDateString() === new Date().toDateString()) return time;
+    return `${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}, ${time}`;
+}
+
+/**
+ * The checklist order for a tip: the user's choice, else the sheet's Checklist column, else in order
+ */
+function getChecklistMode(savedState, tip) {
+    return (savedState && savedState.mode) || tip.checklistMode || 'sequential';
+}
+
+function renderChecklistToolbar(mode) {
+    const toolbarEl = document.getElementById('checklistToolbar');
+    if (!toolbarEl) return;
+    toolbarEl.querySelectorAll('input[name="checklistMode"]').forEach(radio => {
+        radio.checked = radio.value === mode;
+    });
+}
+
+/**
+ * Plain-text summary of a checklist for pasting into a support ticket
+ * @param {Tip} tip
+ * @param {ChecklistEntry[]} entries
+ */
+function buildChecklistSummaryText(tip, entries) {
+    const lines = [
+        `Checklist: ${stripRichText(tip.issue) || 'IT Tip'}`,
+        `Guide: ${window.location.href}`
+    ];
+
+    const tickTimes = entries.filter(entry => entry.checkedAt).map(entry => new Date(entry.checkedAt).getTime());
+    if (tickTimes.length > 0) {
+        lines.push(`Completed: ${new Date(Math.max(...tickTimes)).toLocaleString()}`);
+    }
+    if (activePlatform) {
+        lines.push(`Platform: ${getPlatformLabel(activePlatform)}`);
+    }
+    lines.push('');
+
+    forEachOutlineItem(tip, (item, i) => {
+        if (!isOutlineItemShown(item)) return;
+        if (item.type === 'heading') {
+            lines.push(richTextToPlainText(item.text));
+            return;
+        }
+        const entry = entries[i] || createChecklistEntry(null);
+        const indent = getOutlineIndent(item);
+        const time = entry.checkedAt ? ` (ticked ${new Date(entry.checkedAt).toLocaleString()})` : '';
+        lines.push(`${indent}${item.label}. [${entry.checked ? 'x' : ' '}] ${richTextToPlainText(getStepDisplayText(item.text))}${time}`);
+        if (entry.note) lines.push(`${indent}   Note: ${entry.note}`);
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Shows the completion summary once every step is ticked
+ */
+function renderChecklistSummary(tip, entries, visible) {
+    const summaryEl = document.getElementById('checklistSummary');
+    if (!summaryEl) return;
+
+    const shown = entries.filter((_, i) => isStepShown(i));
+    const complete = shown.length > 0 && shown.every(entry => entry.checked);
+    if (!visible || !complete) {
+        summaryEl.hidden = true;
+        summaryEl.innerHTML = '';
+        return;
+    }
+
+    summaryEl.innerHTML = `
+        <h3 class="checklist-summary-title">✅ All steps completed</h3>
+        <ul class="checklist-summary-list">
+            ${getOutlineSteps(tip).map((item, i) => !isStepShown(i) ? '' : `
+                <li class="step-level-${item.level}">
+                    <span class="checklist-summary-number">${escapeHtml(item.label)}.</span>
+                    <span class="checklist-summary-step">${renderRichText(getStepDisplayText(item.text), { images: false })}</span>
+                    <span class="checklist-summary-time">${escapeHtml(entries[i].checkedAt ? formatTickTime(entries[i].checkedAt) : '')}</span>
+                    ${entries[i].note ? `<span class="checklist-summary-note">Note: ${escapeHtml(entries[i].note)}</span>` : ''}
+                </li>
+            `).join('')}
+        </ul>
+        <button type="button" class="checklist-summary-copy">Copy summary for a support ticket</button>
+    `;
+    summaryEl.hidden = false;
+}
+
 async function copyTextToClipboard(text) {
     // Prefer modern async clipboard API when available.
     if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
@@ -379,8 +319,994 @@ async function copyTextToClipboard(text) {
     }
 }
 
-async function initStepsPage() {
-    const tipId = getQueryParam('id');
+// Current page state, shared by the action buttons which are wired up once
+let activeSource = null;
+let currentSteps = [];
+let checklistControls = null;
+let currentTip = null;
+let viewRecordedForTipId = null;
+let lightboxItems = [];
+let lightboxIndex = 0;
+let lightboxReturnFocus = null;
+let flowPath = [];
+let activePlatform = '';
+let platformTipId = null;
+let focusModeSteps = [];
+let focusModePosition = 0;
+let focusModeReturnFocus = null;
+let readAloudItems = [];
+let readAloudPosition = 0;
+let readAloudPaused = false;
+let readAloudToken = 0;
+let readAloudVoiceName = ''; // voice of the item being read; '' for the browser default
+
+// ===== Platform Functions =====
+
+/**
+ * True when tip.steps[index] is shown for the platform picked in the switcher
+ */
+function isStepShown(index) {
+    if (!currentTip || !activePlatform) return true;
+    const item = getOutlineSteps(currentTip)[index];
+    return !item || isStepForPlatform(item, activePlatform);
+}
+
+/**
+ * Same for a heading or step from the outline
+ */
+function isOutlineItemShown(item) {
+    return isStepForPlatform(item, activePlatform);
+}
+
+/**
+ * The steps shown for the chosen platform, in order (for Guide me and read-aloud), each with the heading of its section
+ * @returns {{ index: number, item: StepOutlineItem, heading: string }[]}
+ */
+function getShownSteps(tip) {
+    const steps = [];
+    let heading = '';
+    forEachOutlineItem(tip, (item, index) => {
+        if (item.type === 'heading') {
+            heading = item.text;
+        } else if (isStepShown(index)) {
+            steps.push({ index: index, item: item, heading: heading });
+        }
+    });
+    return steps;
+}
+
+/**
+ * Offers the platforms the tip has steps for, starting with this device's (or the last one picked)
+ * Keeps the current choice when the same tip is re-rendered after a background refresh.
+ */
+function renderPlatformSwitcher(tip) {
+    const switcherEl = document.getElementById('platformSwitcher');
+    const optionsEl = document.getElementById('platformOptions');
+    const platforms = getTipStepPlatforms(tip);
+
+    if (platformTipId !== tip.id || (activePlatform && !platforms.includes(activePlatform))) {
+        const preferred = getPreferredPlatform();
+        activePlatform = platforms.includes(preferred) ? preferred : '';
+        platformTipId = tip.id;
+    }
+
+    if (!switcherEl || !optionsEl) return;
+    switcherEl.hidden = platforms.length === 0;
+    if (platforms.length === 0) return;
+
+    const devicePlatform = detectPlatform();
+    const options = [...platforms.map(id => ({
+        id: id,
+        label: id === devicePlatform ? `${getPlatformLabel(id)} (this device)` : getPlatformLabel(id)
+    })), { id: '', label: 'All' }];
+    optionsEl.innerHTML = options.map(option => `
+        <label class="platform-option">
+            <input type="radio" name="stepsPlatform" value="${option.id}"${option.id === activePlatform ? ' checked' : ''}>
+            ${escapeHtml(option.label)}
+        </label>
+    `).join('');
+}
+
+/**
+ * Shows only the steps (and sections) for the chosen platform, and explains what is shown
+ */
+function applyPlatformFilter() {
+    const listEl = document.getElementById('stepsDetailList');
+    const noteEl = document.getElementById('platformNote');
+    if (!currentTip) return;
+
+    if (listEl) {
+        listEl.querySelectorAll('li[data-step-index]').forEach(li => {
+            li.hidden = !isStepShown(parseInt(li.dataset.stepIndex, 10));
+        });
+        listEl.querySelectorAll('li.steps-section').forEach(section => {
+            section.hidden = !section.querySelector('li[data-step-index]:not([hidden])');
+        });
+    }
+    renderStepsToc(buildStepSections(currentTip));
+
+    if (noteEl) {
+        const stepPlatforms = getTipStepPlatforms(currentTip);
+        if (activePlatform) {
+            noteEl.textContent = `Showing the steps for ${getPlatformLabel(activePlatform)}. Steps for other devices are hidden.`;
+        } else if (stepPlatforms.length === 0 && currentTip.platforms.length > 0) {
+            noteEl.textContent = `This guide is for: ${currentTip.platforms.map(getPlatformLabel).join(', ')}.`;
+        } else {
+            noteEl.textContent = '';
+        }
+        noteEl.hidden = !noteEl.textContent;
+    }
+
+    if (checklistControls) checklistControls.refresh();
+    renderFlow();
+    refreshReadAloud();
+}
+
+// ===== Steps Outline Functions =====
+
+/**
+ * Calls back with each heading and step of the tip in order; stepIndex is the position in tip.steps
+ * (and in the checklist entries), or -1 for headings
+ */
+function forEachOutlineItem(tip, callback) {
+    let stepIndex = 0;
+    tip.stepOutline.forEach(item => {
+        callback(item, item.type === 'step' ? stepIndex++ : -1);
+    });
+}
+
+function getOutlineIndent(item) {
+    return '   '.repeat(Math.max(item.level - 1, 0));
+}
+
+/**
+ * The steps as plain text for copying: headings on their own lines, sub-steps indented
+ */
+function buildStepsPlainText(tip) {
+    const lines = activePlatform ? [`Steps for ${getPlatformLabel(activePlatform)}`, ''] : [];
+    forEachOutlineItem(tip, item => {
+        if (!isOutlineItemShown(item)) return;
+        if (item.type === 'heading') {
+            if (lines.length > 0) lines.push('');
+            lines.push(richTextToPlainText(item.text));
+        } else {
+            lines.push(`${getOutlineIndent(item)}${item.label}. ${richTextToPlainText(getStepDisplayText(item.text))}`);
+        }
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Groups the steps under their headings and nests sub-steps inside their step
+ * Steps before the first heading form a section without a heading.
+ * @returns {{ heading: string, id: string, nodes: { item: StepOutlineItem, index: number, children: Object[] }[] }[]}
+ */
+function buildStepSections(tip) {
+    const sections = [{ heading: '', id: '', nodes: [] }];
+    let parents = [];
+
+    forEachOutlineItem(tip, (item, index) => {
+        if (item.type === 'heading') {
+            sections.push({ heading: item.text, id: `steps-section-${sections.length}`, nodes: [] });
+            parents = [];
+            return;
+        }
+
+        const node = { item: item, index: index, children: [] };
+        const parent = parents[item.level - 2];
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            sections[sections.length - 1].nodes.push(node);
+        }
+        parents = parents.slice(0, item.level - 1);
+        parents[item.level - 1] = node;
+    });
+
+    return sections.filter(section => section.heading || section.nodes.length > 0);
+}
+
+function renderStepItem(node) {
+    const { item, index } = node;
+    const classes = [`step-level-${item.level}`, parseFlowStep(item.text).question ? 'step-question' : ''].filter(Boolean).join(' ');
+
+    return `
+        <li class="${classes}" data-step-index="${index}" data-step-marker="${escapeHtml(item.marker)}">
+            <div class="step-body">
+                <label class="steps-check-label">
+                    <input type="checkbox" class="steps-check-input" />
+                    <div class="step-content">${renderRichText(getStepDisplayText(item.text), { images: 'omit' })}</div>
+                </label>
+                ${renderMediaThumbnails(index)}
+                <div class="step-checklist-extras">
+                    <span class="step-checked-time"></span>
+                    <button type="button" class="step-note-toggle">+ Add note</button>
+                    <input type="text" class="step-note-input" maxlength="200" placeholder="Note, e.g. error code 0x80070005" aria-label="Note for step ${escapeHtml(item.label)}" hidden>
+                </div>
+                ${node.children.length > 0 ? `<ol class="steps-sublist">${node.children.map(renderStepItem).join('')}</ol>` : ''}
+            </div>
+        </li>
+    `;
+}
+
+/**
+ * True when a step node or any step nested in it is shown for the chosen platform
+ */
+function hasShownStep(nodes) {
+    return nodes.some(node => isStepShown(node.index) || hasShownStep(node.children));
+}
+
+/**
+ * Lists the guide's sections with jump links once it has two or more headings
+ */
+function renderStepsToc(sections) {
+    const tocEl = document.getElementById('stepsToc');
+    const tocList = document.getElementById('stepsTocList');
+    if (!tocEl || !tocList) return;
+
+    const headed = sections.filter(section => section.heading && hasShownStep(section.nodes));
+    tocEl.hidden = headed.length < 2;
+    tocList.innerHTML = headed.map(section => `
+        <li><a href="#${section.id}">${renderRichText(section.heading, { links: false, images: false })}</a></li>
+    `).join('');
+}
+
+// ===== Troubleshooting Flow Functions =====
+
+/**
+ * The step the flow is on after the answers in the path: a 0-based index, or 'end'
+ */
+function getFlowPosition(tip, path) {
+    if (path.length === 0) return skipHiddenSteps(tip, 0);
+
+    const labels = getStepLabels(tip);
+    const last = path[path.length - 1];
+    const flowStep = parseFlowStep(tip.steps[last.step]);
+    const answer = flowStep.question ? flowStep.answers.find(item => item.label === last.answer) : null;
+    const target = flowStep.question ? (answer ? answer.target : null) : flowStep.next;
+    return skipHiddenSteps(tip, resolveFlowTarget(target, last.step, labels));
+}
+
+/**
+ * Moves past steps for other platforms than the chosen one
+ */
+function skipHiddenSteps(tip, position) {
+    let next = position;
+    while (next !== 'end' && !isStepShown(next)) {
+        next = next + 1 < tip.steps.length ? next + 1 : 'end';
+    }
+    return next;
+}
+
+/**
+ * The path taken so far as plain lines, e.g. "Step 1: Can you see the Wi-Fi icon? – No"
+ */
+function getFlowPathLines(tip, path) {
+    const labels = getStepLabels(tip);
+    return path.map(entry => {
+        const text = richTextToPlainText(parseFlowStep(tip.steps[entry.step]).text);
+        return `Step ${labels[entry.step]}: ${text}${entry.answer ? ` – ${entry.answer}` : ''}`;
+    });
+}
+
+/**
+ * Shows the current question or step with its answer buttons, and the path taken so far
+ * The whole section is hidden for guides without questions or jumps.
+ */
+function renderFlow() {
+    const flowEl = document.getElementById('stepsFlow');
+    const currentEl = document.getElementById('stepsFlowCurrent');
+    const pathEl = document.getElementById('stepsFlowPath');
+    const listTitleEl = document.getElementById('stepsListTitle');
+    const steps = currentTip ? currentTip.steps : [];
+    const isFlow = hasStepFlow(steps);
+
+    if (listTitleEl) listTitleEl.hidden = !isFlow;
+    if (!flowEl || !currentEl || !pathEl) return;
+    flowEl.hidden = !isFlow;
+    if (!isFlow) return;
+
+    const position = getFlowPosition(currentTip, flowPath);
+    const labels = getStepLabels(currentTip);
+    flowEl.classList.toggle('has-path', flowPath.length > 0);
+
+    if (position === 'end') {
+        currentEl.innerHTML = `
+            <p class="steps-flow-step-label">End of the guide</p>
+            <p class="steps-flow-text">You have reached the end of this guide. If the problem is still there, contact IT and include the path below.</p>
+        `;
+    } else {
+        const flowStep = parseFlowStep(steps[position]);
+        const buttons = flowStep.question && flowStep.answers.length > 0
+            ? flowStep.answers.map((answer, i) => `<button type="button" class="steps-flow-answer" data-answer-index="${i}">${renderRichText(answer.label, { links: false, images: false })}</button>`).join('')
+            : `<button type="button" class="steps-flow-answer steps-flow-next">${resolveFlowTarget(flowStep.next, position, labels) === 'end' ? 'Done' : 'Done, next step'}</button>`;
+
+        currentEl.innerHTML = `
+            <p class="steps-flow-step-label">${flowStep.question ? 'Question' : 'Step'} ${escapeHtml(labels[position])}</p>
+            <div class="steps-flow-text">${renderRichText(flowStep.text, { images: 'omit' })}</div>
+            ${renderMediaThumbnails(position)}
+            <div class="steps-flow-answers">${buttons}</div>
+        `;
+    }
+
+    const lines = getFlowPathLines(currentTip, flowPath);
+    pathEl.innerHTML = lines.length > 0
+        ? `<h4 class="steps-flow-path-title">Your path so far</h4><ol class="steps-flow-path-list">${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ol>`
+        : '';
+
+    document.getElementById('flowBackButton').disabled = flowPath.length === 0;
+    document.getElementById('flowRestartButton').disabled = flowPath.length === 0;
+}
+
+/**
+ * Records the answer to the current step (null for "Done, next step") and moves on
+ */
+function advanceFlow(answerIndex) {
+    const position = getFlowPosition(currentTip, flowPath);
+    if (position === 'end') return;
+
+    const flowStep = parseFlowStep(currentTip.steps[position]);
+    const answer = answerIndex === null ? null : flowStep.answers[answerIndex];
+    flowPath = [...flowPath, { step: position, answer: answer ? answer.label : '' }];
+    saveFlowPath(currentTip, flowPath);
+    renderFlow();
+}
+
+function initFlow() {
+    const flowEl = document.getElementById('stepsFlow');
+    if (!flowEl) return;
+
+    const moveFocusToStep = () => {
+        const currentEl = document.getElementById('stepsFlowCurrent');
+        if (currentEl) currentEl.focus();
+    };
+
+    flowEl.addEventListener('click', (event) => {
+        if (!currentTip) return;
+        const answerBtn = event.target.closest('.steps-flow-answer');
+
+        if (answerBtn) {
+            advanceFlow(answerBtn.classList.contains('steps-flow-next') ? null : parseInt(answerBtn.dataset.answerIndex, 10));
+            moveFocusToStep();
+        } else if (event.target.closest('#flowBackButton')) {
+            flowPath = flowPath.slice(0, -1);
+            saveFlowPath(currentTip, flowPath);
+            renderFlow();
+            moveFocusToStep();
+        } else if (event.target.closest('#flowRestartButton')) {
+            flowPath = [];
+            saveFlowPath(currentTip, flowPath);
+            renderFlow();
+            moveFocusToStep();
+        }
+    });
+}
+
+// ===== Media & Lightbox Functions =====
+
+/**
+ * Collects the tip's images in reading order: whole-guide images from the Media column first,
+ * then for each step the ![alt](url) images written in it followed by its Media lines.
+ * Addresses that are not safe (see sanitizeRichTextUrl() in format.js) are left out.
+ * @returns {{ url: string, caption: string, step: number|null }[]}  step is a 0-based index
+ */
+function getTipMediaItems(tip) {
+    const labels = getStepLabels(tip);
+    const media = (tip.media || []).filter(item => sanitizeRichTextUrl(item.url, true));
+    const isGuideLevel = item => item.step === null || !labels.includes(item.step);
+
+    const items = media.filter(isGuideLevel).map(item => ({ url: item.url, caption: item.caption, step: null }));
+    tip.steps.forEach((step, index) => {
+        getRichTextImages(step).forEach(image => {
+            items.push({ url: image.url, caption: image.alt, step: index });
+        });
+        media.filter(item => item.step === labels[index]).forEach(item => {
+            items.push({ url: item.url, caption: item.caption, step: index });
+        });
+    });
+    return items;
+}
+
+function getMediaLabel(item) {
+    if (item.caption) return item.caption;
+    return item.step === null ? 'Screenshot' : `Screenshot for step ${getStepLabels(currentTip)[item.step]}`;
+}
+
+/**
+ * Thumbnail buttons for the images of one step (or of the whole guide when stepIndex is null)
+ */
+function renderMediaThumbnails(stepIndex) {
+    const thumbnails = lightboxItems
+        .map((item, index) => ({ item, index }))
+        .filter(({ item }) => item.step === stepIndex);
+    if (thumbnails.length === 0) return '';
+
+    return `
+        <div class="step-media">
+            ${thumbnails.map(({ item, index }) => `
+                <button type="button" class="media-thumb" data-media-index="${index}" aria-label="Enlarge image: ${escapeHtml(getMediaLabel(item))}">
+                    <img src="${escapeHtml(item.url)}" alt="${escapeHtml(getMediaLabel(item))}" loading="lazy">
+                </button>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderGuideMedia() {
+    const container = document.getElementById('stepsMedia');
+    if (!container) return;
+    container.innerHTML = renderMediaThumbnails(null);
+    container.hidden = container.innerHTML === '';
+}
+
+function showLightboxItem(index) {
+    const item = lightboxItems[index];
+    if (!item) return;
+    lightboxIndex = index;
+
+    const image = document.getElementById('lightboxImage');
+    const caption = document.getElementById('lightboxCaption');
+    const counter = document.getElementById('lightboxCounter');
+    const prevBtn = document.getElementById('lightboxPrev');
+    const nextBtn = document.getElementById('lightboxNext');
+
+    image.src = item.url;
+    image.alt = getMediaLabel(item);
+    caption.textContent = getMediaLabel(item);
+    counter.textContent = `Image ${index + 1} of ${lightboxItems.length}${item.step === null ? '' : ` · Step ${getStepLabels(currentTip)[item.step]}`}`;
+    prevBtn.disabled = index === 0;
+    nextBtn.disabled = index === lightboxItems.length - 1;
+}
+
+/**
+ * Opens the image viewer at one image; focus returns to the thumbnail when it closes
+ */
+function openLightbox(index, trigger) {
+    const lightbox = document.getElementById('lightbox');
+    if (!lightbox || !lightboxItems[index]) return;
+
+    lightboxReturnFocus = trigger || null;
+    showLightboxItem(index);
+    lightbox.hidden = false;
+    document.body.style.overflow = 'hidden'; // Prevent background scrolling
+    document.getElementById('lightboxClose').focus();
+    document.addEventListener('keydown', handleLightboxKeydown);
+}
+
+function closeLightbox() {
+    const lightbox = document.getElementById('lightbox');
+    if (!lightbox || lightbox.hidden) return;
+
+    lightbox.hidden = true;
+    // Guide me mode underneath still holds the page still
+    if (!isFocusModeOpen()) document.body.style.overflow = '';
+    document.removeEventListener('keydown', handleLightboxKeydown);
+    if (lightboxReturnFocus && document.body.contains(lightboxReturnFocus)) {
+        lightboxReturnFocus.focus();
+    }
+    lightboxReturnFocus = null;
+}
+
+/**
+ * Esc closes, the arrow keys move between images and Tab stays inside the viewer
+ */
+function handleLightboxKeydown(event) {
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        closeLightbox();
+    } else if (event.key === 'ArrowLeft') {
+        event.preventDefault();
+        showLightboxItem(Math.max(0, lightboxIndex - 1));
+    } else if (event.key === 'ArrowRight') {
+        event.preventDefault();
+        showLightboxItem(Math.min(lightboxItems.length - 1, lightboxIndex + 1));
+    } else if (event.key === 'Tab') {
+        keepFocusInside(event, document.getElementById('lightbox'));
+    }
+}
+
+function initLightbox() {
+    const card = document.getElementById('stepsDetailCard');
+    const lightbox = document.getElementById('lightbox');
+    if (!card || !lightbox) return;
+
+    card.addEventListener('click', (event) => {
+        const thumb = event.target.closest('.media-thumb');
+        if (!thumb) return;
+        openLightbox(parseInt(thumb.dataset.mediaIndex, 10), thumb);
+    });
+
+    document.getElementById('lightboxClose').addEventListener('click', closeLightbox);
+    document.getElementById('lightboxPrev').addEventListener('click', () => showLightboxItem(lightboxIndex - 1));
+    document.getElementById('lightboxNext').addEventListener('click', () => showLightboxItem(lightboxIndex + 1));
+
+    // Clicking the dark backdrop closes the viewer
+    lightbox.addEventListener('click', (event) => {
+        if (event.target === lightbox) closeLightbox();
+    });
+
+    // Lazy images that were never scrolled into view would otherwise be missing from the printout
+    window.addEventListener('beforeprint', () => {
+        document.querySelectorAll('img[loading="lazy"]').forEach(img => {
+            img.loading = 'eager';
+        });
+    });
+}
+
+// ===== Guide Me Functions =====
+// One step at a time in large print, for following a guide on a phone next to the device being fixed.
+// Moving on ticks the step in the checklist, so the list, the progress page and a copied summary
+// all show how far the user got.
+
+function isFocusModeOpen() {
+    const focusMode = document.getElementById('focusMode');
+    return Boolean(focusMode && !focusMode.hidden);
+}
+
+/**
+ * Shows the current step, or the "Did this fix it?" question after the last one
+ */
+function renderFocusMode() {
+    const bodyEl = document.getElementById('focusModeBody');
+    const progressEl = document.getElementById('focusModeProgress');
+    const fillEl = document.getElementById('focusModeProgressFill');
+    const backBtn = document.getElementById('focusModeBack');
+    const nextBtn = document.getElementById('focusModeNext');
+    if (!bodyEl) return;
+
+    const total = focusModeSteps.length;
+    const atEnd = focusModePosition >= total;
+    if (progressEl) {
+        progressEl.setAttribute('aria-valuemax', String(total));
+        progressEl.setAttribute('aria-valuenow', String(focusModePosition));
+    }
+    if (fillEl) fillEl.style.width = `${total > 0 ? Math.round((focusModePosition / total) * 100) : 100}%`;
+    if (backBtn) backBtn.disabled = focusModePosition === 0;
+    if (nextBtn) {
+        nextBtn.hidden = atEnd;
+        nextBtn.innerHTML = focusModePosition === total - 1 ? 'Done &check;' : 'Next &rsaquo;';
+    }
+
+    if (atEnd) {
+        bodyEl.innerHTML = `
+            <p class="focus-mode-count">All ${total} steps done</p>
+            <p class="focus-mode-step">Did this fix it?</p>
+            <div class="focus-mode-answers">
+                <button type="button" class="steps-flow-answer" data-fixed="yes">Yes, it's fixed</button>
+                <button type="button" class="steps-flow-answer" data-fixed="no">No, it's still not working</button>
+            </div>
+            <div class="focus-mode-outcome" aria-live="polite"></div>
+        `;
+        return;
+    }
+
+    const { index, item, heading } = focusModeSteps[focusModePosition];
+    bodyEl.innerHTML = `
+        ${heading ? `<p class="focus-mode-section">${renderRichText(heading, { links: false, images: false })}</p>` : ''}
+        <p class="focus-mode-count">Step ${escapeHtml(item.label)} &middot; ${focusModePosition + 1} of ${total}</p>
+        <div class="focus-mode-step">${renderRichText(getStepDisplayText(item.text), { images: 'omit' })}</div>
+        ${renderMediaThumbnails(index)}
+    `;
+}
+
+function showFocusModeStep(position) {
+    focusModePosition = Math.max(0, Math.min(position, focusModeSteps.length));
+    renderFocusMode();
+    const bodyEl = document.getElementById('focusModeBody');
+    if (bodyEl) bodyEl.focus();
+}
+
+/**
+ * Ticks the current step (turning the checklist on if needed) and moves to the next one
+ */
+function advanceFocusMode() {
+    const step = focusModeSteps[focusModePosition];
+    if (!step) return;
+
+    if (checklistControls) {
+        if (!checklistControls.isEnabled()) checklistControls.enable();
+        if (!checklistControls.isChecked(step.index)) checklistControls.setChecked(step.index, true);
+    }
+    showFocusModeStep(focusModePosition + 1);
+}
+
+/**
+ * Opens Guide me at the first step not ticked yet (or at the start when every step is ticked)
+ */
+function openFocusMode(trigger) {
+    const focusMode = document.getElementById('focusMode');
+    const titleEl = document.getElementById('focusModeTitle');
+    if (!focusMode || !currentTip) return;
+
+    focusModeSteps = getShownSteps(currentTip);
+    if (focusModeSteps.length === 0) return;
+    const firstOpen = focusModeSteps.findIndex(step => !(checklistControls && checklistControls.isChecked(step.index)));
+
+    if (titleEl) titleEl.innerHTML = renderRichText(currentTip.issue || 'IT Tip', { links: false, images: false });
+    focusModeReturnFocus = trigger || null;
+    focusMode.hidden = false;
+    document.body.style.overflow = 'hidden'; // Prevent background scrolling
+    document.addEventListener('keydown', handleFocusModeKeydown);
+    showFocusModeStep(firstOpen === -1 ? 0 : firstOpen);
+}
+
+function closeFocusMode() {
+    const focusMode = document.getElementById('focusMode');
+    if (!focusMode || focusMode.hidden) return;
+
+    focusMode.hidden = true;
+    document.body.style.overflow = '';
+    document.removeEventListener('keydown', handleFocusModeKeydown);
+    if (focusModeReturnFocus && document.body.contains(focusModeReturnFocus)) {
+        focusModeReturnFocus.focus();
+    }
+    focusModeReturnFocus = null;
+}
+
+/**
+ * Keeps Guide me on the same step when a background refresh re-renders the tip
+ */
+function refreshFocusMode() {
+    const current = focusModeSteps[focusModePosition];
+    focusModeSteps = getShownSteps(currentTip);
+    if (focusModeSteps.length === 0 || hasStepFlow(currentTip.steps)) {
+        closeFocusMode();
+        return;
+    }
+
+    const kept = current ? focusModeSteps.findIndex(step => step.index === current.index) : -1;
+    focusModePosition = kept === -1 ? Math.min(focusModePosition, focusModeSteps.length) : kept;
+    renderFocusMode();
+}
+
+/**
+ * Esc closes, the arrow keys go back and forward and Tab stays inside Guide me
+ * The image viewer handles the keys while it is open on top.
+ */
+function handleFocusModeKeydown(event) {
+    if (!document.getElementById('lightbox').hidden) return;
+
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        closeFocusMode();
+    } else if (event.key === 'ArrowLeft') {
+        event.preventDefault();
+        showFocusModeStep(focusModePosition - 1);
+    } else if (event.key === 'ArrowRight') {
+        event.preventDefault();
+        advanceFocusMode();
+    } else if (event.key === 'Tab') {
+        keepFocusInside(event, document.getElementById('focusMode'));
+    }
+}
+
+/**
+ * Shows what to do next after "Did this fix it?"
+ */
+function renderFocusModeOutcome(fixed) {
+    const outcomeEl = document.querySelector('#focusModeBody .focus-mode-outcome');
+    if (!outcomeEl) return;
+
+    if (fixed) {
+        outcomeEl.innerHTML = `
+            <p>Great, glad it's working again.</p>
+            <a href="index.html" class="steps-back-link">&larr; Back to all tips</a>
+        `;
+        restoreBackLinks();
+    } else {
+        outcomeEl.innerHTML = `
+            <p>Please contact IT and paste in the summary of the steps you followed.</p>
+            <button type="button" class="steps-copy-btn focus-mode-copy">Copy summary</button>
+        `;
+    }
+}
+
+function initFocusMode() {
+    const guideBtn = document.getElementById('guideMeButton');
+    const focusMode = document.getElementById('focusMode');
+    const bodyEl = document.getElementById('focusModeBody');
+    if (!guideBtn || !focusMode || !bodyEl) return;
+
+    guideBtn.addEventListener('click', () => openFocusMode(guideBtn));
+    document.getElementById('focusModeClose').addEventListener('click', closeFocusMode);
+    document.getElementById('focusModeBack').addEventListener('click', () => showFocusModeStep(focusModePosition - 1));
+    document.getElementById('focusModeNext').addEventListener('click', advanceFocusMode);
+
+    bodyEl.addEventListener('click', (event) => {
+        const thumb = event.target.closest('.media-thumb');
+        if (thumb) {
+            openLightbox(parseInt(thumb.dataset.mediaIndex, 10), thumb);
+            return;
+        }
+
+        const answerBtn = event.target.closest('[data-fixed]');
+        if (answerBtn) {
+            renderFocusModeOutcome(answerBtn.dataset.fixed === 'yes');
+            return;
+        }
+
+        const copyBtn = event.target.closest('.focus-mode-copy');
+        if (copyBtn && checklistControls) {
+            copyTextToClipboard(checklistControls.getSummaryText()).then(() => {
+                copyBtn.textContent = 'Copied!';
+            }).catch(() => {
+                copyBtn.textContent = 'Copy failed';
+            });
+        }
+    });
+
+    // Swiping left moves on, swiping right goes back; mostly-vertical movement is scrolling
+    let touchStart = null;
+    focusMode.addEventListener('touchstart', (event) => {
+        touchStart = event.touches.length === 1 ? { x: event.touches[0].clientX, y: event.touches[0].clientY } : null;
+    }, { passive: true });
+    focusMode.addEventListener('touchend', (event) => {
+        if (!touchStart || event.changedTouches.length === 0) return;
+        const dx = event.changedTouches[0].clientX - touchStart.x;
+        const dy = event.changedTouches[0].clientY - touchStart.y;
+        touchStart = null;
+        if (Math.abs(dx) < 50 || Math.abs(dx) < Math.abs(dy)) return;
+        if (dx < 0) {
+            advanceFocusMode();
+        } else {
+            showFocusModeStep(focusModePosition - 1);
+        }
+    });
+}
+
+// ===== Read Aloud Functions =====
+// Reads the issue and then each shown step with the browser's own speech synthesis (nothing is
+// sent to an external service), highlighting the step being read. Pause stops the current
+// utterance and Resume starts that step again: speechSynthesis.pause() is unreliable on Android,
+// where this is used most.
+
+const READ_ALOUD_RATES = [
+    { value: 0.75, label: 'Slower' },
+    { value: 1, label: 'Normal' },
+    { value: 1.25, label: 'Faster' },
+    { value: 1.5, label: 'Fastest' }
+];
+
+function isReadAloudSupported() {
+    return 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance === 'function';
+}
+
+function isReadAloudActive() {
+    const bar = document.getElementById('readAloudBar');
+    return Boolean(bar && !bar.hidden);
+}
+
+function setReadAloudActive(active) {
+    const bar = document.getElementById('readAloudBar');
+    const readBtn = document.getElementById('readAloudButton');
+    if (bar) bar.hidden = !active;
+    if (readBtn) {
+        readBtn.classList.toggle('active', active);
+        readBtn.setAttribute('aria-pressed', active ? 'true' : 'false');
+    }
+}
+
+/**
+ * What to read, in order: the issue (stepIndex null), then each step shown for the chosen platform,
+ * with the section heading before the first step of each section
+ * @returns {{ stepIndex: number|null, text: string }[]}
+ */
+function buildReadAloudItems(tip) {
+    const items = [{ stepIndex: null, text: stripRichText(tip.issue || 'IT Tip') }];
+    let lastHeading = '';
+    getShownSteps(tip).forEach(({ index, item, heading }) => {
+        // "Yes → step 4" would be read as "right arrow"
+        const stepText = stripRichText(getStepDisplayText(item.text)).replace(/\s*→\s*/g, ', go to ');
+        const intro = heading && heading !== lastHeading ? `${stripRichText(heading)}. ` : '';
+        lastHeading = heading;
+        items.push({ stepIndex: index, text: `${intro}Step ${item.label}. ${stepText}` });
+    });
+    return items;
+}
+
+/**
+ * A voice for the page's language (<html lang>): an exact match such as en-GB first, then any voice
+ * for the same language, preferring the device's default voice. Null leaves the choice to the browser.
+ */
+function pickReadAloudVoice() {
+    const lang = (document.documentElement.lang || 'en').toLowerCase();
+    const primary = lang.split('-')[0];
+    const voices = window.speechSynthesis.getVoices();
+    const voiceLang = voice => String(voice.lang || '').toLowerCase().replace(/_/g, '-');
+
+    const exact = voices.filter(voice => voiceLang(voice) === lang);
+    const related = voices.filter(voice => voiceLang(voice).split('-')[0] === primary);
+    const candidates = exact.length > 0 ? exact : related;
+    return candidates.find(voice => voice.default) || candidates[0] || null;
+}
+
+/**
+ * Marks the title or step being read and scrolls it into view
+ */
+function highlightReadAloudItem() {
+    document.querySelectorAll('.reading-aloud').forEach(el => {
+        el.classList.remove('reading-aloud');
+        el.removeAttribute('aria-current');
+    });
+
+    const item = readAloudItems[readAloudPosition];
+    if (!item || !isReadAloudActive()) return;
+
+    const target = item.stepIndex === null
+        ? document.getElementById('stepsIssueTitle')
+        : document.querySelector(`#stepsDetailList li[data-step-index="${item.stepIndex}"]`);
+    if (!target) return;
+    target.classList.add('reading-aloud');
+    if (item.stepIndex !== null) target.setAttribute('aria-current', 'step');
+    if (typeof target.scrollIntoView === 'function') {
+        target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+}
+
+function renderReadAloudBar() {
+    const statusEl = document.getElementById('readAloudStatus');
+    const pauseBtn = document.getElementById('readAloudPause');
+    const nextBtn = document.getElementById('readAloudNext');
+    const item = readAloudItems[readAloudPosition];
+
+    if (statusEl) {
+        const stepCount = readAloudItems.length - 1;
+        const stepNumber = readAloudPosition;
+        const what = !item ? 'Finished reading' : (item.stepIndex === null ? 'Reading the issue' : `Reading step ${stepNumber} of ${stepCount}`);
+        statusEl.textContent = readAloudPaused && item ? `Paused: ${what.toLowerCase()}` : what;
+    }
+    if (pauseBtn) {
+        pauseBtn.textContent = readAloudPaused || !item ? 'Resume' : 'Pause';
+        pauseBtn.setAttribute('aria-pressed', readAloudPaused ? 'true' : 'false');
+    }
+    if (nextBtn) nextBtn.disabled = !item || readAloudPosition >= readAloudItems.length - 1;
+}
+
+/**
+ * Reads one item and carries on with the next when it ends; past the last item reading stops
+ */
+function speakReadAloudItem(position) {
+    // Ends and errors of utterances cancelled here belong to an older token and are ignored
+    const token = ++readAloudToken;
+    window.speechSynthesis.cancel();
+    readAloudPosition = Math.max(0, Math.min(position, readAloudItems.length));
+    readAloudPaused = false;
+    renderReadAloudBar();
+    highlightReadAloudItem();
+
+    const item = readAloudItems[readAloudPosition];
+    if (!item) return;
+
+    const utterance = new SpeechSynthesisUtterance(item.text);
+    utterance.lang = document.documentElement.lang || 'en';
+    utterance.rate = loadReadAloudRate();
+    // Chosen for every utterance: the voice list can still be empty when reading starts
+    const voice = pickReadAloudVoice();
+    if (voice) utterance.voice = voice;
+    readAloudVoiceName = voice ? voice.name : '';
+
+    utterance.onend = () => {
+        if (token === readAloudToken) speakReadAloudItem(readAloudPosition + 1);
+    };
+    utterance.onerror = (event) => {
+        if (token !== readAloudToken || event.error === 'interrupted' || event.error === 'canceled') return;
+        console.error('Read aloud failed:', event.error);
+        stopReadAloud();
+    };
+    window.speechSynthesis.speak(utterance);
+}
+
+function startReadAloud() {
+    const bar = document.getElementById('readAloudBar');
+    if (!bar || !currentTip || !isReadAloudSupported()) return;
+
+    readAloudItems = buildReadAloudItems(currentTip);
+    setReadAloudActive(true);
+    speakReadAloudItem(0);
+}
+
+function pauseReadAloud() {
+    readAloudToken++;
+    window.speechSynthesis.cancel();
+    readAloudPaused = true;
+    renderReadAloudBar();
+}
+
+function stopReadAloud() {
+    readAloudToken++;
+    if (isReadAloudSupported()) window.speechSynthesis.cancel();
+    readAloudPaused = false;
+    readAloudItems = [];
+    setReadAloudActive(false);
+    highlightReadAloudItem();
+}
+
+/**
+ * Picks up a re-render (background refresh or another platform) without interrupting the voice:
+ * the list of things to read is rebuilt and the highlight moves to the new list items
+ */
+function refreshReadAloud() {
+    if (!isReadAloudActive() || !currentTip) return;
+
+    const current = readAloudItems[readAloudPosition];
+    readAloudItems = buildReadAloudItems(currentTip);
+    const kept = current ? readAloudItems.findIndex(item => item.stepIndex === current.stepIndex) : -1;
+    readAloudPosition = kept === -1 ? Math.min(readAloudPosition, readAloudItems.length) : kept;
+    renderReadAloudBar();
+    highlightReadAloudItem();
+}
+
+function initReadAloud() {
+    const readBtn = document.getElementById('readAloudButton');
+    const rateSelect = document.getElementById('readAloudRate');
+    if (!readBtn) return;
+
+    // Browsers without speech synthesis never show the button
+    if (!isReadAloudSupported()) {
+        readBtn.remove();
+        return;
+    }
+
+    readBtn.addEventListener('click', () => {
+        if (isReadAloudActive()) {
+            stopReadAloud();
+        } else {
+            startReadAloud();
+        }
+    });
+
+    document.getElementById('readAloudPause').addEventListener('click', () => {
+        if (readAloudPaused || readAloudPosition >= readAloudItems.length) {
+            // After the last step, Resume reads the guide again from the start
+            speakReadAloudItem(readAloudPosition >= readAloudItems.length ? 0 : readAloudPosition);
+        } else {
+            pauseReadAloud();
+        }
+    });
+    document.getElementById('readAloudRepeat').addEventListener('click', () => {
+        speakReadAloudItem(Math.min(readAloudPosition, readAloudItems.length - 1));
+    });
+    document.getElementById('readAloudNext').addEventListener('click', () => speakReadAloudItem(readAloudPosition + 1));
+    document.getElementById('readAloudStop').addEventListener('click', () => {
+        stopReadAloud();
+        readBtn.focus();
+    });
+
+    if (rateSelect) {
+        const savedRate = loadReadAloudRate();
+        const closest = READ_ALOUD_RATES.reduce((best, rate) => (Math.abs(rate.value - savedRate) < Math.abs(best.value - savedRate) ? rate : best));
+        rateSelect.innerHTML = READ_ALOUD_RATES.map(rate => `
+            <option value="${rate.value}"${rate === closest ? ' selected' : ''}>${rate.label}</option>
+        `).join('');
+        rateSelect.addEventListener('change', () => {
+            saveReadAloudRate(parseFloat(rateSelect.value));
+            // A new rate only applies to the next utterance, so the current step starts again
+            if (isReadAloudActive() && !readAloudPaused && readAloudPosition < readAloudItems.length) {
+                speakReadAloudItem(readAloudPosition);
+            }
+        });
+    }
+
+    // Chrome loads its voices after the page: asking for them starts the loading, and when they
+    // arrive the step being read starts again if a better voice for the page's language is now there
+    window.speechSynthesis.getVoices();
+    if (typeof window.speechSynthesis.addEventListener === 'function') {
+        window.speechSynthesis.addEventListener('voiceschanged', () => {
+            if (!isReadAloudActive() || readAloudPaused || readAloudPosition >= readAloudItems.length) return;
+            const voice = pickReadAloudVoice();
+            if ((voice ? voice.name : '') !== readAloudVoiceName) speakReadAloudItem(readAloudPosition);
+        });
+    }
+
+    // Some browsers keep talking after the user has left the page
+    window.addEventListener('pagehide', () => window.speechSynthesis.cancel());
+}
+
+/**
+ * Renders a tip into the detail card. Safe to call again when a background refresh
+ * brings a newer version of the same tip.
+ */
+function renderTipDetail(tipId, tip) {
     const titleEl = document.getElementById('stepsIssueTitle');
     const descEl = document.getElementById('stepsIssueDescription');
     const listEl = document.getElementById('stepsDetailList');
@@ -388,223 +1314,503 @@ async function initStepsPage() {
     const createdByEl = document.getElementById('stepsDetailCreatedBy');
     const dateEl = document.getElementById('stepsDetailDate');
     const progressEl = document.getElementById('stepsProgress');
+    const errorContainer = document.getElementById('stepsErrorContainer');
 
-    if (!tipId) {
-        showStepsError('No tip selected. Please choose a tip from the main list.');
-        if (titleEl) titleEl.textContent = 'No tip selected';
-        return;
+    if (errorContainer) {
+        errorContainer.innerHTML = '';
     }
 
-    if (listEl) {
-        listEl.innerHTML = '';
+    // Save to recently viewed and generate QR code
+    saveRecentlyViewed(tipId, stripRichText(tip.issue));
+    generateQRCode(tipId);
+
+    // Count one view per page load, not one per re-render after a background refresh
+    if (viewRecordedForTipId !== tipId) {
+        recordTipView(tipId);
+        viewRecordedForTipId = tipId;
     }
+
+    const issue = tip.issue || 'IT Tip';
+    const description = tip.description;
+    const steps = tip.steps;
+    currentSteps = steps;
+    currentTip = tip;
+    lightboxItems = getTipMediaItems(tip);
+    renderGuideMedia();
+    renderPlatformSwitcher(tip);
+    flowPath = loadFlowPath(tipId, steps);
+    updateFavoriteButton();
+    renderFlow();
+
     if (titleEl) {
-        titleEl.textContent = 'Loading steps...';
+        titleEl.innerHTML = renderRichText(issue, { links: false, images: false });
     }
 
-    try {
-        const data = await fetchCSVData();
-        const tip = data.find(row => row.ID === tipId);
+    if (descEl) {
+        descEl.innerHTML = renderRichText(description);
+        descEl.style.display = description ? '' : 'none';
+    }
 
-        if (!tip) {
-            showStepsError('We could not find that tip. It may have been removed or the link is incorrect.');
-            if (titleEl) titleEl.textContent = 'Tip not found';
-            return;
-        }
+    if (categoryEl) {
+        categoryEl.textContent = tip.category;
+        categoryEl.style.display = tip.category ? '' : 'none';
+    }
 
-        // Save to recently viewed and generate QR code
-        saveRecentlyViewed(tipId, tip.Issue);
-        generateQRCode(tipId);
+    if (createdByEl) {
+        createdByEl.textContent = tip.createdBy ? `Created by ${tip.createdBy}` : '';
+        createdByEl.style.display = tip.createdBy ? '' : 'none';
+    }
 
-        const issue = tip.Issue || 'IT Tip';
-        const description = tip.Description || '';
-        const steps = parseSteps(tip.Steps || '');
+    if (dateEl) {
+        const formatted = formatTimestamp(tip.timestamp);
+        dateEl.textContent = formatted ? `Updated ${formatted}` : '';
+        dateEl.style.display = formatted ? '' : 'none';
+    }
 
-        if (titleEl) {
-            titleEl.textContent = issue;
-        }
+    if (progressEl) {
+        progressEl.textContent = '';
+        progressEl.style.display = 'none';
+    }
 
-        if (descEl) {
-            descEl.textContent = description;
-            descEl.style.display = description ? '' : 'none';
-        }
+    const copyBtn = document.getElementById('copyStepsButton');
+    if (copyBtn) {
+        copyBtn.style.display = steps.length === 0 ? 'none' : '';
+    }
+
+    // A troubleshooting flow already goes one step at a time
+    const guideBtn = document.getElementById('guideMeButton');
+    if (guideBtn) {
+        guideBtn.style.display = steps.length === 0 || hasStepFlow(steps) ? 'none' : '';
+    }
+
+    const readBtn = document.getElementById('readAloudButton');
+    if (readBtn) {
+        readBtn.style.display = steps.length === 0 ? 'none' : '';
+    }
+
+    checklistControls = null;
+    if (!listEl) return;
+
+    // Keep checklist mode on if the user had it on before a refresh re-rendered the list
+    const checklistWasEnabled = listEl.classList.contains('checklist-enabled');
+    listEl.innerHTML = '';
+    listEl.classList.remove('checklist-enabled');
+    const toolbarEl = document.getElementById('checklistToolbar');
+    if (toolbarEl) toolbarEl.hidden = true;
+    renderChecklistSummary(tip, [], false);
+
+    if (steps.length === 0) {
+        const li = document.createElement('li');
+        li.innerHTML = `<div class="step-content">No specific steps provided for this tip.</div>`;
+        listEl.appendChild(li);
+        closeFocusMode();
+        stopReadAloud();
+        return;
+    }
+
+    listEl.innerHTML = buildStepSections(tip).map(section => {
+        const items = section.nodes.map(renderStepItem).join('');
+        if (!section.heading) return items;
+        return `
+            <li class="steps-section" id="${section.id}">
+                <h3 class="steps-section-title">${renderRichText(section.heading, { images: false })}</h3>
+                <ol class="steps-section-list">${items}</ol>
+            </li>
+        `;
+    }).join('');
+
+    checklistControls = setupChecklist(tipId, tip, listEl, checklistWasEnabled);
+    applyPlatformFilter();
+    if (isFocusModeOpen()) refreshFocusMode();
+}
 
-        if (categoryEl) {
-            categoryEl.textContent = tip.Category ? tip.Category : '';
-            categoryEl.style.display = tip.Category ? '' : 'none';
+/**
+ * Wires up checklist mode for the rendered steps and returns the controls used by the page's buttons
+ * Handles in-order and any-order modes, tick times, per-step notes, reset, the completion summary
+ * and the notice shown when the guide changed since the ticks were saved.
+ */
+function setupChecklist(tipId, tip, listEl, startEnabled) {
+    const steps = tip.steps;
+    const checklistBtn = document.getElementById('checklistToggleButton');
+    const progressEl = document.getElementById('stepsProgress');
+    const toolbarEl = document.getElementById('checklistToolbar');
+    // Sub-steps are nested inside their step's <li>, so document order is step order
+    const items = Array.from(listEl.querySelectorAll('li[data-step-index]'));
+    const checkboxes = items.map(li => li.querySelector('.steps-check-input'));
+
+    // Ticks saved before IT edited this guide wait for the user's decision in the notice
+    const savedState = loadChecklistState(tipId, steps);
+    let pendingChange = Boolean(savedState && savedState.changed && hasSavedProgress(tipId));
+    let entries = savedState && !savedState.changed ? savedState.entries : createEmptyChecklistEntries(steps.length);
+    let mode = getChecklistMode(savedState, tip);
+    let userMode = savedState ? savedState.mode : '';
+
+    const isEnabled = () => listEl.classList.contains('checklist-enabled');
+    // Steps for other platforms are left out of the order and the progress
+    const getShownIndexes = () => entries.map((_, i) => i).filter(isStepShown);
+
+    const render = () => {
+        const shown = getShownIndexes();
+        applyChecklistState(items, entries);
+        if (!isEnabled()) {
+            // Disable all checkboxes so labels can't toggle while hidden
+            checkboxes.forEach(cb => { cb.disabled = true; });
+        } else if (mode === 'sequential') {
+            syncSequentialAvailability(shown.map(i => checkboxes[i]));
+        } else {
+            checkboxes.forEach(cb => { cb.disabled = false; });
+        }
+        updateProgress(progressEl, shown.filter(i => entries[i].checked).length, shown.length);
+        renderChecklistToolbar(mode);
+        renderChecklistSummary(tip, entries, isEnabled());
+    };
+
+    const persist = () => {
+        saveChecklistState(tip, entries, userMode, activePlatform);
+        if (pendingChange) {
+            // Ticking without choosing counts as starting over
+            pendingChange = false;
+            hideChecklistChangeNotice();
         }
+    };
+
+    /**
+     * Ticks or unticks a step; returns false when in-order mode does not allow it yet
+     */
+    const setChecked = (index, checked) => {
+        if (!isEnabled() || !entries[index]) return false;
 
-        if (createdByEl) {
-            createdByEl.textContent = tip.CreatedBy ? `Created by ${tip.CreatedBy}` : '';
-            createdByEl.style.display = tip.CreatedBy ? '' : 'none';
+        if (checked && mode === 'sequential' && getShownIndexes().some(i => i < index && !entries[i].checked)) {
+            if (progressEl) progressEl.textContent = 'Complete previous steps first.';
+            return false;
         }
 
-        if (dateEl) {
-            const formatted = formatTimestamp(tip.Timestamp);
-            dateEl.textContent = formatted ? `Updated ${formatted}` : '';
-            dateEl.style.display = formatted ? '' : 'none';
+        entries[index] = { ...entries[index], checked: checked, checkedAt: checked ? new Date().toISOString() : null };
+        if (!checked && mode === 'sequential') {
+            // Cascade: uncheck all later steps
+            getShownIndexes().filter(i => i > index).forEach(i => {
+                entries[i] = { ...entries[i], checked: false, checkedAt: null };
+            });
         }
 
+        persist();
+        render();
+        return true;
+    };
+
+    const enableChecklist = () => {
+        listEl.classList.add('checklist-enabled');
+        if (checklistBtn) checklistBtn.classList.add('active');
+        if (progressEl) progressEl.style.display = '';
+        if (toolbarEl) toolbarEl.hidden = false;
+        render();
+    };
+
+    const disableChecklist = () => {
+        listEl.classList.remove('checklist-enabled');
+        if (checklistBtn) checklistBtn.classList.remove('active');
         if (progressEl) {
             progressEl.textContent = '';
             progressEl.style.display = 'none';
         }
+        if (toolbarEl) toolbarEl.hidden = true;
+        render();
+    };
+
+    items.forEach((li, idx) => {
+        const checkbox = checkboxes[idx];
+        const noteInput = li.querySelector('.step-note-input');
+        const noteToggle = li.querySelector('.step-note-toggle');
+
+        checkbox.addEventListener('change', () => {
+            if (!setChecked(idx, checkbox.checked)) {
+                checkbox.checked = entries[idx].checked;
+            }
+        });
 
-        if (listEl) {
-            listEl.innerHTML = '';
-            listEl.classList.remove('checklist-enabled');
+        noteToggle.addEventListener('click', () => {
+            noteToggle.hidden = true;
+            noteInput.hidden = false;
+            noteInput.focus();
+        });
 
-            if (steps.length === 0) {
-                const li = document.createElement('li');
-                li.innerHTML = `<div class="step-content">No specific steps provided for this tip.</div>`;
-                listEl.appendChild(li);
-            } else {
-                steps.forEach(step => {
-                    const li = document.createElement('li');
-                    li.innerHTML = `
-                        <label class="steps-check-label">
-                            <input type="checkbox" class="steps-check-input" />
-                            <div class="step-content">${escapeHtml(step)}</div>
-                        </label>
-                    `;
-                    listEl.appendChild(li);
-                });
-
-                const checklistBtn = document.getElementById('checklistToggleButton');
-                const checkboxes = Array.from(listEl.querySelectorAll('.steps-check-input'));
-
-                // Checklist mode is optional; disable interactions until enabled.
-                checkboxes.forEach(cb => {
-                    cb.disabled = true;
-                });
-
-                const applyAndPersist = () => {
-                    const checkedArray = checkboxes.map(cb => cb.checked);
-                    const completedCount = checkedArray.filter(Boolean).length;
-                    updateProgress(progressEl, completedCount, checkboxes.length);
-                    saveChecklistState(tipId, checkedArray);
-                };
-
-                const enableChecklist = () => {
-                    listEl.classList.add('checklist-enabled');
-                    if (checklistBtn) checklistBtn.classList.add('active');
-                    if (progressEl) progressEl.style.display = '';
-
-                    let state = loadChecklistState(tipId, checkboxes.length) || new Array(checkboxes.length).fill(false);
-                    state = normalizeSequentialState(state);
-                    applyChecklistState(checkboxes, state);
-
-                    // Enable sequentially: first unchecked (or all checked -> all enabled)
-                    syncSequentialAvailability(checkboxes);
-                    applyAndPersist();
-                };
-
-                const disableChecklist = () => {
-                    listEl.classList.remove('checklist-enabled');
-                    if (checklistBtn) checklistBtn.classList.remove('active');
-                    if (progressEl) {
-                        progressEl.textContent = '';
-                        progressEl.style.display = 'none';
-                    }
-
-                    // Disable all checkboxes so labels can't toggle while hidden
-                    checkboxes.forEach(cb => {
-                        cb.disabled = true;
-                    });
-                };
-
-                // Enforce sequential completion and cascade on uncheck.
-                checkboxes.forEach((checkbox, idx) => {
-                    checkbox.addEventListener('change', () => {
-                        if (!listEl.classList.contains('checklist-enabled')) {
-                            checkbox.checked = false;
-                            return;
-                        }
-
-                        if (checkbox.checked) {
-                            // No skipping: ensure all previous are checked
-                            for (let i = 0; i < idx; i++) {
-                                if (!checkboxes[i].checked) {
-                                    checkbox.checked = false;
-                                    if (progressEl) {
-                                        progressEl.textContent = 'Complete previous steps first.';
-                                    }
-                                    return;
-                                }
-                            }
-                        } else {
-                            // Cascade: uncheck all later steps
-                            for (let i = idx + 1; i < checkboxes.length; i++) {
-                                checkboxes[i].checked = false;
-                                const li = checkboxes[i].closest('li');
-                                if (li) li.classList.remove('completed');
-                            }
-                        }
-
-                        const li = checkbox.closest('li');
-                        if (li) {
-                            li.classList.toggle('completed', checkbox.checked);
-                        }
-
-                        syncSequentialAvailability(checkboxes);
-                        applyAndPersist();
-                    });
-                });
-
-                if (checklistBtn) {
-                    checklistBtn.addEventListener('click', () => {
-                        const enabled = listEl.classList.contains('checklist-enabled');
-                        if (enabled) {
-                            disableChecklist();
-                        } else {
-                            enableChecklist();
-                        }
-                    });
-                }
-
-                // Start with checklist disabled by default.
-                disableChecklist();
+        noteInput.addEventListener('input', () => {
+            entries[idx] = { ...entries[idx], note: noteInput.value.trim() };
+            persist();
+            renderChecklistSummary(tip, entries, isEnabled());
+        });
+
+        noteInput.addEventListener('blur', () => {
+            if (!noteInput.value.trim()) {
+                noteInput.hidden = true;
+                noteToggle.hidden = false;
             }
-        }
+        });
+    });
+
+    if (pendingChange) {
+        showChecklistChangeNotice(savedState.entries.filter(entry => entry.checked || entry.note).length, {
+            restart: () => {
+                pendingChange = false;
+                entries = createEmptyChecklistEntries(steps.length);
+                clearChecklistState(tipId);
+                hideChecklistChangeNotice();
+                enableChecklist();
+            },
+            keep: () => {
+                entries = savedState.entries;
+                persist();
+                enableChecklist();
+            }
+        });
+    } else {
+        hideChecklistChangeNotice();
+    }
 
-        // Wire up actions: copy and print
-        const copyBtn = document.getElementById('copyStepsButton');
-        const printBtn = document.getElementById('printStepsButton');
+    if (startEnabled) {
+        enableChecklist();
+    } else {
+        // Start with checklist disabled by default.
+        disableChecklist();
+    }
 
-        if (copyBtn) {
-            if (!steps || steps.length === 0) {
-                copyBtn.style.display = 'none';
+    return {
+        toggle: () => {
+            if (isEnabled()) {
+                disableChecklist();
             } else {
-                copyBtn.style.display = '';
-                copyBtn.addEventListener('click', () => {
-                    const text = steps.map((s, i) => `${i + 1}. ${s}`).join('\n');
-                    const originalText = copyBtn.textContent;
-                    copyTextToClipboard(text).then(() => {
-                        copyBtn.textContent = 'Copied!';
-                        setTimeout(() => {
-                            copyBtn.textContent = originalText;
-                        }, 2000);
-                    }).catch(() => {
-                        copyBtn.textContent = 'Copy failed';
-                        setTimeout(() => {
-                            copyBtn.textContent = originalText;
-                        }, 2000);
-                    });
-                });
+                enableChecklist();
             }
-        }
+        },
+        isEnabled: isEnabled,
+        isChecked: (index) => Boolean(entries[index] && entries[index].checked),
+        enable: enableChecklist,
+        setChecked: setChecked,
+        setMode: (newMode) => {
+            mode = newMode === 'free' ? 'free' : 'sequential';
+            // Following the sheet again when the user picks the sheet's own mode
+            userMode = mode === (tip.checklistMode || 'sequential') ? '' : mode;
+            persist();
+            render();
+        },
+        reset: () => {
+            entries = createEmptyChecklistEntries(steps.length);
+            if (userMode) {
+                persist();
+            } else {
+                clearChecklistState(tipId);
+            }
+            pendingChange = false;
+            hideChecklistChangeNotice();
+            render();
+        },
+        getSummaryText: () => buildChecklistSummaryText(tip, entries),
+        refresh: render
+    };
+}
+
+/**
+ * Shows whether the current tip is pinned to My Tips
+ */
+function updateFavoriteButton() {
+    const favoriteBtn = document.getElementById('favoriteButton');
+    if (!favoriteBtn || !currentTip) return;
+
+    const pinned = isFavorite(currentTip.id);
+    favoriteBtn.classList.toggle('pinned', pinned);
+    favoriteBtn.setAttribute('aria-pressed', pinned ? 'true' : 'false');
+    favoriteBtn.textContent = pinned ? '★ Pinned to My Tips' : '☆ Pin to My Tips';
+}
+
+/**
+ * Wires up the pin, checklist, copy and print buttons and the checklist toolbar.
+ * They act on whatever tip is currently rendered.
+ */
+function initStepsActions() {
+    const favoriteBtn = document.getElementById('favoriteButton');
+    const checklistBtn = document.getElementById('checklistToggleButton');
+    const copyBtn = document.getElementById('copyStepsButton');
+    const printBtn = document.getElementById('printStepsButton');
+
+    if (favoriteBtn) {
+        favoriteBtn.addEventListener('click', () => {
+            if (!currentTip) return;
+            toggleFavorite(currentTip.id, currentTip.issue);
+            updateFavoriteButton();
+        });
+    }
+
+    if (checklistBtn) {
+        checklistBtn.addEventListener('click', () => {
+            if (checklistControls) checklistControls.toggle();
+        });
+    }
+
+    document.querySelectorAll('input[name="checklistMode"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            if (checklistControls && radio.checked) checklistControls.setMode(radio.value);
+        });
+    });
+
+    const platformSwitcher = document.getElementById('platformSwitcher');
+    if (platformSwitcher) {
+        platformSwitcher.addEventListener('change', (event) => {
+            if (event.target.name !== 'stepsPlatform') return;
+            activePlatform = event.target.value;
+            // "All" is a one-off view; the next guide still opens for this device's platform
+            if (activePlatform) savePlatformPreference(activePlatform);
+            applyPlatformFilter();
+        });
+    }
+
+    const resetBtn = document.getElementById('checklistResetButton');
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => {
+            if (!checklistControls) return;
+            if (window.confirm('Clear all ticks and notes for this guide?')) {
+                checklistControls.reset();
+            }
+        });
+    }
+
+    const summaryEl = document.getElementById('checklistSummary');
+    if (summaryEl) {
+        summaryEl.addEventListener('click', (event) => {
+            const copySummaryBtn = event.target.closest('.checklist-summary-copy');
+            if (!copySummaryBtn || !checklistControls) return;
+            copyTextToClipboard(checklistControls.getSummaryText()).then(() => {
+                copySummaryBtn.textContent = 'Copied!';
+            }).catch(() => {
+                copySummaryBtn.textContent = 'Copy failed';
+            });
+        });
+    }
 
-        if (printBtn) {
-            printBtn.addEventListener('click', () => {
-                window.print();
+    if (copyBtn) {
+        copyBtn.addEventListener('click', () => {
+            if (currentSteps.length === 0) return;
+            let text = buildStepsPlainText(currentTip);
+            if (flowPath.length > 0) {
+                const ended = getFlowPosition(currentTip, flowPath) === 'end';
+                text += `\n\nPath taken${ended ? '' : ' so far'}:\n${getFlowPathLines(currentTip, flowPath).join('\n')}`;
+            }
+            const originalText = copyBtn.textContent;
+            copyTextToClipboard(text).then(() => {
+                copyBtn.textContent = 'Copied!';
+                setTimeout(() => {
+                    copyBtn.textContent = originalText;
+                }, 2000);
+            }).catch(() => {
+                copyBtn.textContent = 'Copy failed';
+                setTimeout(() => {
+                    copyBtn.textContent = originalText;
+                }, 2000);
             });
+        });
+    }
+
+    if (printBtn) {
+        printBtn.addEventListener('click', () => {
+            window.print();
+        });
+    }
+}
+
+/**
+ * Shows the tip from the saved data straight away (if we have it), then refreshes from the sheet
+ */
+async function initStepsPage() {
+    restoreBackLinks();
+
+    const tipId = getQueryParam('id');
+    const titleEl = document.getElementById('stepsIssueTitle');
+    const listEl = document.getElementById('stepsDetailList');
+
+    if (!tipId) {
+        showStepsError('No tip selected. Please choose a tip from the main list.');
+        if (titleEl) titleEl.textContent = 'No tip selected';
+        return;
+    }
+
+    initStepsActions();
+    initFlow();
+    initLightbox();
+    initFocusMode();
+    initReadAloud();
+
+    try {
+        activeSource = await getActiveSource();
+    } catch (error) {
+        console.error('Error loading data source configuration:', error);
+        showStepsError(`Failed to load steps: ${error.message}`);
+        if (titleEl) titleEl.textContent = 'Error loading steps';
+        return;
+    }
+
+    const cached = loadCachedTips(activeSource);
+    const cachedTip = cached ? findTipById(cached.tips, tipId) : null;
+
+    if (cachedTip && isCacheFresh(cached)) {
+        // Opened from the list moments ago: no need to download the whole sheet again
+        renderTipDetail(tipId, cachedTip);
+        renderDataStatus('fresh', cached.fetchedAt, getDataStatusMessage('fresh'));
+        return;
+    }
+
+    if (cachedTip) {
+        renderTipDetail(tipId, cachedTip);
+        renderDataStatus('checking', cached.fetchedAt, getDataStatusMessage('checking'));
+    } else {
+        if (listEl) {
+            listEl.innerHTML = '';
+        }
+        if (titleEl) {
+            titleEl.textContent = 'Loading steps...';
         }
+    }
+
+    let result;
+    try {
+        result = await fetchTips(activeSource);
     } catch (error) {
+        if (cachedTip) {
+            renderDataStatus('offline', cached.fetchedAt, getDataStatusMessage('offline'));
+            return;
+        }
         console.error('Error loading steps detail page:', error);
-        showStepsError(`Failed to load steps: ${error.message}`);
+        showStepsError(`Failed to load steps: ${describeFetchError(error)}`);
         if (titleEl) {
             titleEl.textContent = 'Error loading steps';
         }
+        return;
+    }
+
+    if (result.offline && cachedTip) {
+        // The service worker's saved copy is no newer than what is already on screen
+        renderDataStatus('offline', cached.fetchedAt, getDataStatusMessage('offline'));
+        return;
+    }
+
+    const fetchedAt = result.offline ? null : saveCachedTips(result.tips, activeSource).fetchedAt;
+    const tip = findTipById(result.tips, tipId);
+
+    if (!tip) {
+        showStepsError('We could not find that tip. It may have been removed or the link is incorrect.');
+        if (titleEl && !cachedTip) titleEl.textContent = 'Tip not found';
+        return;
+    }
+
+    const changed = !cachedTip || JSON.stringify(cachedTip) !== JSON.stringify(tip);
+    if (changed) {
+        renderTipDetail(tipId, tip);
+    }
+
+    if (result.offline) {
+        const status = result.snapshot ? 'snapshot' : 'offline';
+        renderDataStatus(status, null, getDataStatusMessage(status));
+    } else {
+        const status = cachedTip && changed ? 'updated' : 'fresh';
+        renderDataStatus(status, fetchedAt, getDataStatusMessage(status));
     }
 }
 
@@ -0,0 +1,213 @@
+/*
+  Service worker for offline support
+
+  This file contains the logic for:
+  - Precaching the app shell (HTML, CSS, JavaScript) so the pages open offline
+  - Keeping a copy of the last successfully fetched Google Sheet CSV and config.json
+  - Serving that copy when the network is down or too slow to answer
+*/
+
+// Bump this version whenever the app shell file list changes so old caches are removed
+const CACHE_VERSION = 'v10';
+const SHELL_CACHE = `ve-it-tips-shell-${CACHE_VERSION}`;
+const DATA_CACHE = 've-it-tips-data';
+
+// How long to wait for the sheet before falling back to the cached copy
+const DATA_NETWORK_TIMEOUT_MS = 8000;
+
+const APP_SHELL_FILES = [
+    './',
+    'index.html',
+    'steps.html',
+    'progress.html',
+    'style.css',
+    'data.js',
+    'format.js',
+    'user-data.js',
+    'search.js',
+    'script.js',
+    'steps.js',
+    'progress.js',
+    'config.json',
+    'manifest.webmanifest',
+    'assets/icon.svg',
+    'assets/synonyms.csv'
+];
+
+// Absolute URLs of the files above; only these are written to SHELL_CACHE
+const APP_SHELL_URLS = new Set(APP_SHELL_FILES.map(file => new URL(file, self.location).href));
+
+// ===== Lifecycle =====
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('ve-it-tips-shell-') && key !== SHELL_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ===== Request Routing =====
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (isCSVRequest(url) || isConfigRequest(url)) {
+        event.respondWith(networkFirstWithTimeout(event, request));
+        return;
+    }
+
+    if (isAppShellRequest(url)) {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+
+    // Anything else (e.g. screenshots or the QR code API) goes straight to the network.
+});
+
+/**
+ * Returns true for the published sheet CSV (output=csv) and any local .csv file
+ */
+function isCSVRequest(url) {
+    return url.searchParams.get('output') === 'csv' || url.pathname.endsWith('.csv');
+}
+
+/**
+ * Returns true for the app shell files, ignoring the query string (steps.html?id=...)
+ */
+function isAppShellRequest(url) {
+    return APP_SHELL_URLS.has(url.origin + url.pathname);
+}
+
+/**
+ * config.json must take effect on the next load, so it is never served stale while online
+ */
+function isConfigRequest(url) {
+    return url.origin === self.location.origin && url.pathname.endsWith('/config.json');
+}
+
+/**
+ * Serves the sheet from the network when it answers in time, otherwise the last good copy.
+ * A successful network response always refreshes the cached copy, even if it arrives late.
+ */
+function networkFirstWithTimeout(event, request) {
+    const networkFetch = fetch(request);
+
+    // Registered up front so the worker stays alive for a late answer after the timeout
+    event.waitUntil(
+        networkFetch
+            .then(response => {
+                if (!response.ok) return;
+                const copy = response.clone();
+                return caches.open(DATA_CACHE).then(cache => cache.put(request, copy));
+            })
+            .catch(() => {})
+    );
+
+    return new Promise((resolve, reject) => {
+        let settled = false;
+
+        // Prefer the last copy fetched at runtime, then anything precached at install
+        const fallBackToCache = () => caches.open(DATA_CACHE)
+            .then(cache => cache.match(request))
+            .then(cached => cached || caches.match(request))
+            .then(cached => cached ? markAsOfflineCopy(cached) : cached)
+            .then(cached => {
+                if (cached && !settled) {
+                    settled = true;
+                    resolve(cached);
+                }
+                return cached;
+            });
+
+        const timer = setTimeout(fallBackToCache, DATA_NETWORK_TIMEOUT_MS);
+
+        networkFetch
+            .then(response => {
+                clearTimeout(timer);
+                if (settled) return;
+                if (response.ok) {
+                    settled = true;
+                    resolve(response);
+                    return;
+                }
+                // Non-OK answer (e.g. sheet temporarily unpublished): prefer the cached copy
+                fallBackToCache().then(cached => {
+                    if (!cached && !settled) {
+                        settled = true;
+                        resolve(response);
+                    }
+                });
+            })
+            .catch(err => {
+                clearTimeout(timer);
+                fallBackToCache().then(cached => {
+                    if (!cached && !settled) {
+                        settled = true;
+                        reject(err);
+                    }
+                });
+            });
+    });
+}
+
+/**
+ * Adds the X-IT-Tips-Offline header so the pages can tell a saved copy from fresh data
+ */
+function markAsOfflineCopy(response) {
+    const headers = new Headers(response.headers);
+    headers.set('X-IT-Tips-Offline', '1');
+    return response.blob().then(body => new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: headers
+    }));
+}
+
+/**
+ * Serves app shell files from the cache straight away and refreshes them in the background,
+ * so the next visit picks up new versions of the pages.
+ */
+function staleWhileRevalidate(event, request) {
+    const networkFetch = fetch(request);
+
+    // Registered synchronously: waitUntil() throws once the cached copy has been handed to respondWith()
+    event.waitUntil(
+        networkFetch
+            .then(response => {
+                if (!response.ok) return;
+                const copy = response.clone();
+                return caches.open(SHELL_CACHE).then(cache => cache.put(stripSearch(request), copy));
+            })
+            .catch(() => {})
+    );
+
+    return caches.open(SHELL_CACHE)
+        // ignoreSearch lets steps.html?id=... match the cached steps.html
+        .then(cache => cache.match(request, { ignoreSearch: true }))
+        .then(cached => cached || networkFetch);
+}
+
+/**
+ * Cache shell pages without their query string so one entry serves every tip
+ */
+function stripSearch(request) {
+    const url = new URL(request.url);
+    if (!url.search) return request;
+    url.search = '';
+    return new Request(url.toString());
+}
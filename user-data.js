@@ -0,0 +1,817 @@
+/*
+  Per-device user data shared by the pages
+
+  This file contains the logic for:
+  - The recently viewed list shown on the main page
+  - The main page's search and filters, for the steps page's "Back to all tips" links
+  - Counting how often this device has opened each tip (used to sort by "Most viewed")
+  - Favorites: tips pinned to "My Tips" with the star button
+  - Remembering which tips were in the sheet last visit, to flag new and updated tips
+  - The platform (Windows, Mac, ...) to show steps for
+  - The speed the steps page reads guides aloud at
+  - Checklist progress saved by the steps page, listed on the progress page
+  - The answers given so far in branching (question and answer) guides
+  - Exporting all of the above to a file and importing it on another device
+
+  Everything here lives in localStorage (the list's filters in sessionStorage) on this device only;
+  nothing is sent anywhere.
+  Load it after data.js and before the page script.
+*/
+
+// ===== Recently Viewed =====
+
+function getRecentlyViewedStorageKey() {
+    return 've-it-tips-recently-viewed:v1';
+}
+
+function loadRecentlyViewed() {
+    try {
+        const raw = localStorage.getItem(getRecentlyViewedStorageKey());
+        if (!raw) return [];
+        return JSON.parse(raw);
+    } catch (e) {
+        return [];
+    }
+}
+
+// Called by steps.js when a tip is opened; newest first, at most 10
+function saveRecentlyViewed(tipId, issue) {
+    try {
+        let recent = loadRecentlyViewed();
+        
+        // Remove if already exists (to move to top)
+        recent = recent.filter(item => item.id !== tipId);
+        
+        // Add to front
+        recent.unshift({
+            id: tipId,
+            issue: issue,
+            viewedAt: new Date().toISOString()
+        });
+        
+        // Keep only last 10
+        recent = recent.slice(0, 10);
+        
+        localStorage.setItem(getRecentlyViewedStorageKey(), JSON.stringify(recent));
+        try {
+            sessionStorage.setItem('ve-it-tips-has-recent', '1');
+        } catch (e) {}
+    } catch (e) {
+        // Ignore storage errors (quota/private mode)
+    }
+}
+
+// ===== Sort Preference =====
+
+// The value is read and applied by script.js; it lives here so it can be exported
+function getSortStorageKey() {
+    return 've-it-tips-sort:v1';
+}
+
+// ===== List Query =====
+// Written by script.js and read by steps.js; kept in sessionStorage, so only for this tab
+
+function getListQueryStorageKey() {
+    return 've-it-tips-list-query';
+}
+
+// ===== Platform Preference =====
+// Not exported: a file taken from a Windows laptop to a Mac should not bring "Windows" with it
+
+function getPlatformStorageKey() {
+    return 've-it-tips-platform:v1';
+}
+
+/**
+ * Guesses this device's platform from the browser (a PLATFORMS ID), or '' when unsure
+ */
+function detectPlatform() {
+    const userAgent = navigator.userAgent || '';
+    if (/CrOS/.test(userAgent)) return 'chromeos';
+    if (/Android/i.test(userAgent)) return 'android';
+    if (/iPhone|iPad|iPod/.test(userAgent)) return 'ios';
+    // iPads ask for desktop sites and report a Mac; the touch screen gives them away
+    if (/Macintosh|Mac OS X/.test(userAgent)) return navigator.maxTouchPoints > 1 ? 'ios' : 'mac';
+    if (/Windows/.test(userAgent)) return 'windows';
+    return '';
+}
+
+/**
+ * The platform to show steps for: the one last picked on the steps page, otherwise this device's
+ */
+function getPreferredPlatform() {
+    try {
+        const saved = normalizePlatform(localStorage.getItem(getPlatformStorageKey()));
+        if (saved) return saved;
+    } catch (e) {
+        // Fall back to detection
+    }
+    return detectPlatform();
+}
+
+function savePlatformPreference(platformId) {
+    try {
+        localStorage.setItem(getPlatformStorageKey(), platformId);
+    } catch (e) {
+        // Ignore storage errors (quota/private mode)
+    }
+}
+
+// ===== Read-aloud Rate =====
+// Not exported: voices differ between devices, and so does the speed that is comfortable with them
+
+function getReadAloudRateStorageKey() {
+    return 've-it-tips-read-aloud-rate:v1';
+}
+
+/**
+ * The speech rate picked on the steps page (1 is the voice's normal speed)
+ */
+function loadReadAloudRate() {
+    try {
+        const rate = parseFloat(localStorage.getItem(getReadAloudRateStorageKey()));
+        return Number.isFinite(rate) && rate > 0 ? rate : 1;
+    } catch (e) {
+        return 1;
+    }
+}
+
+function saveReadAloudRate(rate) {
+    try {
+        localStorage.setItem(getReadAloudRateStorageKey(), String(rate));
+    } catch (e) {
+        // Ignore storage errors (quota/private mode)
+    }
+}
+
+// ===== View Counts =====
+
+function getViewCountsStorageKey() {
+    return 've-it-tips-view-counts:v1';
+}
+
+/**
+ * Loads how many times each tip has been opened on this device, keyed by tip ID
+ * @returns {Object<string, number>}
+ */
+function loadViewCounts() {
+    try {
+        const raw = localStorage.getItem(getViewCountsStorageKey());
+        if (!raw) return {};
+        const parsed = JSON.parse(raw);
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Adds one view for a tip
+ */
+function recordTipView(tipId) {
+    if (!tipId) return;
+
+    const counts = loadViewCounts();
+    counts[tipId] = (counts[tipId] || 0) + 1;
+    saveViewCounts(counts);
+}
+
+function saveViewCounts(counts) {
+    try {
+        localStorage.setItem(getViewCountsStorageKey(), JSON.stringify(counts));
+    } catch (e) {
+        // Ignore storage errors (quota/private mode)
+    }
+}
+
+// ===== Favorites =====
+
+function getFavoritesStorageKey() {
+    return 've-it-tips-favorites:v1';
+}
+
+/**
+ * Loads the pinned tips, oldest pin first, as [{ id, issue, pinnedAt }]
+ * Pins are keyed by tip ID so reordering the sheet does not affect them; issue is kept
+ * so the "My Tips" strip can be drawn before the sheet has loaded.
+ */
+function loadFavorites() {
+    try {
+        const raw = localStorage.getItem(getFavoritesStorageKey());
+        if (!raw) return [];
+        const parsed = JSON.parse(raw);
+        return Array.isArray(parsed) ? parsed.filter(item => item && item.id) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveFavorites(favorites) {
+    try {
+        localStorage.setItem(getFavoritesStorageKey(), JSON.stringify(favorites));
+    } catch (e) {
+        // Ignore storage errors (quota/private mode)
+    }
+}
+
+function isFavorite(tipId) {
+    return loadFavorites().some(item => item.id === tipId);
+}
+
+/**
+ * Pins or unpins a tip and returns true when it is now pinned
+ */
+function toggleFavorite(tipId, issue) {
+    const favorites = loadFavorites();
+    const pinned = favorites.some(item => item.id === tipId);
+
+    if (pinned) {
+        saveFavorites(favorites.filter(item => item.id !== tipId));
+    } else {
+        favorites.push({ id: tipId, issue: issue || '', pinnedAt: new Date().toISOString() });
+        saveFavorites(favorites);
+    }
+    return !pinned;
+}
+
+/**
+ * Drops pins whose tips are no longer in the sheet and refreshes the saved titles
+ * Only call this with a complete, freshly downloaded sheet, never with an offline snapshot.
+ * @param {Tip[]} tips
+ */
+function pruneFavorites(tips) {
+    const favorites = loadFavorites();
+    const tipsById = new Map(tips.map(tip => [tip.id, tip]));
+    const kept = favorites
+        .filter(item => tipsById.has(item.id))
+        .map(item => ({ ...item, issue: tipsById.get(item.id).issue }));
+
+    if (JSON.stringify(kept) !== JSON.stringify(favorites)) {
+        saveFavorites(kept);
+    }
+}
+
+// ===== What's New =====
+
+function getSeenTipsStorageKey() {
+    return 've-it-tips-seen-tips:v1';
+}
+
+function getVisitBaselineStorageKey() {
+    return 've-it-tips-visit-baseline';
+}
+
+/**
+ * Returns the tips seen before this visit as { source, hashes: { id: contentHash } },
+ * or null on the first visit (when nothing should be flagged).
+ * The baseline is fixed for the whole visit (browser session), so badges survive reloads and
+ * opening tips; the next visit compares against what was seen in this one.
+ * @param {DataSource} source
+ */
+function getVisitBaseline(source) {
+    try {
+        let raw = sessionStorage.getItem(getVisitBaselineStorageKey());
+        if (raw === null) {
+            raw = localStorage.getItem(getSeenTipsStorageKey()) || 'null';
+            sessionStorage.setItem(getVisitBaselineStorageKey(), raw);
+        }
+        const baseline = JSON.parse(raw);
+        if (!baseline || !baseline.hashes || baseline.source !== source.url) return null;
+        return baseline;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Remembers the tips now on screen as seen, for the next visit
+ * @param {Tip[]} tips
+ * @param {DataSource} source
+ */
+function saveSeenTips(tips, source) {
+    const hashes = {};
+    tips.forEach(tip => {
+        if (tip.id) hashes[tip.id] = getTipContentHash(tip);
+    });
+
+    try {
+        localStorage.setItem(getSeenTipsStorageKey(), JSON.stringify({
+            savedAt: new Date().toISOString(),
+            source: source.url,
+            hashes: hashes
+        }));
+    } catch (e) {
+        // Ignore storage errors (quota/private mode)
+    }
+}
+
+/**
+ * 'new' when the tip was not in the sheet last visit, 'updated' when its content changed, otherwise ''
+ * @param {Tip} tip
+ * @param {Object|null} baseline  From getVisitBaseline()
+ */
+function getTipChangeStatus(tip, baseline) {
+    if (!baseline || !tip.id) return '';
+    const previousHash = baseline.hashes[tip.id];
+    if (previousHash === undefined) return 'new';
+    return previousHash === getTipContentHash(tip) ? '' : 'updated';
+}
+
+// ===== Checklist Progress =====
+
+function getChecklistStorageKey(tipId) {
+    return `ve-it-tips-checklist:${tipId}:v2`;
+}
+
+// Before v2 the state was a bare array of booleans with no record of the step text
+function getLegacyChecklistStorageKey(tipId) {
+    return `ve-it-tips-checklist:${tipId}:v1`;
+}
+
+/**
+ * Fingerprint of a tip's steps; changes when any step is reworded, added, removed or moved
+ */
+function getStepsFingerprint(steps) {
+    return hashString(steps.join('\n'));
+}
+
+/**
+ * Saved checklist progress for a tip, or null:
+ * { fingerprint, issue, mode, platform, steps: [{ hash, checked, checkedAt, note, hidden }], updatedAt }
+ * hidden is set on steps for other platforms than the one shown, which do not count towards progress.
+ * A v1 array is returned in the same shape with fingerprint and hashes set to null.
+ */
+function loadChecklistRecord(tipId) {
+    try {
+        const record = normalizeChecklistRecord(JSON.parse(localStorage.getItem(getChecklistStorageKey(tipId))));
+        if (record) return record;
+        return normalizeChecklistRecord(JSON.parse(localStorage.getItem(getLegacyChecklistStorageKey(tipId))));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Brings a stored checklist value (a v2 record or a v1 array of booleans) into the v2 shape, or null
+ */
+function normalizeChecklistRecord(value) {
+    if (Array.isArray(value)) {
+        return {
+            fingerprint: null,
+            issue: '',
+            mode: '',
+            steps: value.map(checked => ({ hash: null, checked: Boolean(checked), checkedAt: null, note: '' })),
+            updatedAt: null
+        };
+    }
+    if (value && typeof value === 'object' && Array.isArray(value.steps)) return value;
+    return null;
+}
+
+/**
+ * One step's checklist state as used on the page
+ * @typedef {Object} ChecklistEntry
+ * @property {boolean} checked
+ * @property {string|null} checkedAt  ISO time the step was ticked
+ * @property {string} note           Optional note, e.g. an error code
+ */
+
+function createChecklistEntry(saved) {
+    return {
+        checked: Boolean(saved && saved.checked),
+        checkedAt: saved && saved.checked && saved.checkedAt ? saved.checkedAt : null,
+        note: saved && saved.note ? String(saved.note) : ''
+    };
+}
+
+function createEmptyChecklistEntries(count) {
+    return Array.from({ length: count }, () => createChecklistEntry(null));
+}
+
+/**
+ * Works out which saved ticks and notes still apply to the current steps
+ * Returns { entries, changed, mode }:
+ * - changed false: the steps are the same as when the state was saved; entries is the saved state
+ * - changed true: the guide was edited since; entries holds ticks and notes only for steps whose
+ *   text is unchanged (matched by text, so moved steps keep them), for the user to accept or discard
+ * Returns null when nothing is saved.
+ * @returns {{ entries: ChecklistEntry[], changed: boolean, mode: string }|null}
+ */
+function loadChecklistState(tipId, steps) {
+    const record = loadChecklistRecord(tipId);
+    if (!record) return null;
+    const mode = record.mode || '';
+
+    if (record.fingerprint === getStepsFingerprint(steps)) {
+        return { entries: steps.map((_, i) => createChecklistEntry(record.steps[i])), changed: false, mode: mode };
+    }
+
+    if (record.fingerprint === null) {
+        // v1 state: the text was never saved, so trust it only if the step count still matches
+        if (record.steps.length === steps.length) {
+            return { entries: record.steps.map(createChecklistEntry), changed: false, mode: mode };
+        }
+        return { entries: createEmptyChecklistEntries(steps.length), changed: true, mode: mode };
+    }
+
+    const unused = record.steps.filter(step => step.checked || step.note);
+    const entries = steps.map(step => {
+        const index = unused.findIndex(saved => saved.hash === hashString(step));
+        return createChecklistEntry(index === -1 ? null : unused.splice(index, 1)[0]);
+    });
+    return { entries: entries, changed: true, mode: mode };
+}
+
+/**
+ * Saves a tip's checklist; the issue is kept so the progress page can name tips that left the sheet
+ * @param {Tip} tip
+ * @param {ChecklistEntry[]} entries
+ * @param {string} mode  'sequential' or 'free'; '' to follow the sheet
+ * @param {string} [platform]  Platform the steps are shown for; '' for all
+ */
+function saveChecklistState(tip, entries, mode, platform) {
+    const outlineSteps = getOutlineSteps(tip);
+    saveChecklistRecord(tip.id, {
+        fingerprint: getStepsFingerprint(tip.steps),
+        issue: tip.issue || '',
+        mode: mode || '',
+        platform: platform || '',
+        steps: tip.steps.map((step, i) => {
+            const saved = { hash: hashString(step), ...createChecklistEntry(entries[i]) };
+            if (outlineSteps[i] && !isStepForPlatform(outlineSteps[i], platform)) saved.hidden = true;
+            return saved;
+        }),
+        updatedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Stores a v2 checklist record and drops any v1 state left for the tip
+ */
+function saveChecklistRecord(tipId, record) {
+    try {
+        localStorage.setItem(getChecklistStorageKey(tipId), JSON.stringify(record));
+        localStorage.removeItem(getLegacyChecklistStorageKey(tipId));
+    } catch (e) {
+        // Ignore storage errors (quota/private mode)
+    }
+}
+
+function clearChecklistState(tipId) {
+    try {
+        localStorage.removeItem(getChecklistStorageKey(tipId));
+        localStorage.removeItem(getLegacyChecklistStorageKey(tipId));
+    } catch (e) {
+        // Ignore storage errors (quota/private mode)
+    }
+}
+
+/**
+ * Returns true when the saved progress has at least one tick or note, i.e. there is something to lose
+ */
+function hasSavedProgress(tipId) {
+    const record = loadChecklistRecord(tipId);
+    return Boolean(record && record.steps.some(step => step.checked || step.note));
+}
+
+/**
+ * Finds every tip with checklist progress saved on this device, v1 and v2 keys alike
+ * @returns {{ tipId: string, record: Object }[]}  record as from loadChecklistRecord(), newest first
+ */
+function listSavedChecklists() {
+    const tipIds = new Set();
+    try {
+        for (let i = 0; i < localStorage.length; i++) {
+            const match = /^ve-it-tips-checklist:(.+):v[12]$/.exec(localStorage.key(i) || '');
+            if (match) tipIds.add(match[1]);
+        }
+    } catch (e) {
+        return [];
+    }
+
+    return [...tipIds]
+        .map(tipId => ({ tipId: tipId, record: loadChecklistRecord(tipId) }))
+        .filter(item => item.record && item.record.steps.length > 0)
+        .sort((a, b) => String(b.record.updatedAt || '').localeCompare(String(a.record.updatedAt || '')));
+}
+
+// ===== Troubleshooting Paths =====
+
+function getFlowPathStorageKey(tipId) {
+    return `ve-it-tips-flow-path:${tipId}:v1`;
+}
+
+/**
+ * The answers given so far in a branching guide: [{ step, answer }], step being a 0-based index
+ * and answer the chosen label ('' for an ordinary step). Empty when the guide changed since.
+ */
+function loadFlowPath(tipId, steps) {
+    try {
+        const record = JSON.parse(localStorage.getItem(getFlowPathStorageKey(tipId)));
+        if (!isPlainObject(record) || !Array.isArray(record.path)) return [];
+        if (record.fingerprint !== getStepsFingerprint(steps)) return [];
+        return record.path.filter(entry => isPlainObject(entry) && Number.isInteger(entry.step) && entry.step >= 0 && entry.step < steps.length)
+            .map(entry => ({ step: entry.step, answer: String(entry.answer || '') }));
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveFlowPath(tip, path) {
+    if (path.length === 0) {
+        clearFlowPath(tip.id);
+        return;
+    }
+
+    try {
+        localStorage.setItem(getFlowPathStorageKey(tip.id), JSON.stringify({
+            fingerprint: getStepsFingerprint(tip.steps),
+            path: path,
+            updatedAt: new Date().toISOString()
+        }));
+    } catch (e) {
+        // Ignore storage errors (quota/private mode)
+    }
+}
+
+function clearFlowPath(tipId) {
+    try {
+        localStorage.removeItem(getFlowPathStorageKey(tipId));
+    } catch (e) {
+        // Ignore storage errors (quota/private mode)
+    }
+}
+
+// ===== Export / Import =====
+
+const USER_DATA_FILE_FORMAT = 've-it-tips-user-data';
+const USER_DATA_FILE_VERSION = 1;
+
+// Largest file accepted by importUserData(); a real export is a few kilobytes
+const USER_DATA_FILE_MAX_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Builds the export file: { format, version, exportedAt, data: { storage key: value } }
+ * Values are written under the current storage keys; older keys (e.g. v1 checklists) are exported
+ * in their current shape. Caches of the sheet are left out, they are downloaded again.
+ */
+function buildUserDataExport() {
+    const data = {};
+
+    const recent = loadRecentlyViewed();
+    if (Array.isArray(recent) && recent.length > 0) data[getRecentlyViewedStorageKey()] = recent;
+
+    const favorites = loadFavorites();
+    if (favorites.length > 0) data[getFavoritesStorageKey()] = favorites;
+
+    const counts = loadViewCounts();
+    if (Object.keys(counts).length > 0) data[getViewCountsStorageKey()] = counts;
+
+    listSavedChecklists().forEach(({ tipId, record }) => {
+        data[getChecklistStorageKey(tipId)] = record;
+    });
+
+    try {
+        const seen = JSON.parse(localStorage.getItem(getSeenTipsStorageKey()));
+        if (seen && seen.hashes) data[getSeenTipsStorageKey()] = seen;
+
+        const sort = localStorage.getItem(getSortStorageKey());
+        if (sort) data[getSortStorageKey()] = sort;
+    } catch (e) {
+        // Leave out whatever cannot be read
+    }
+
+    try {
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i) || '';
+            if (/^ve-it-tips-flow-path:.+:v1$/.test(key)) data[key] = JSON.parse(localStorage.getItem(key));
+        }
+    } catch (e) {
+        // Leave out whatever cannot be read
+    }
+
+    return {
+        format: USER_DATA_FILE_FORMAT,
+        version: USER_DATA_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        data: data
+    };
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * How each key in an export file is merged into this device's data
+ * Patterns also accept older key versions so files from older versions of the app keep working;
+ * merge() returns how many entries it added or updated, or -1 when the value is not valid.
+ */
+const USER_DATA_IMPORTERS = [
+    {
+        pattern: /^ve-it-tips-recently-viewed:v1$/,
+        label: 'recently viewed',
+        merge: mergeImportedRecentlyViewed
+    },
+    {
+        pattern: /^ve-it-tips-favorites:v1$/,
+        label: 'My Tips',
+        merge: mergeImportedFavorites
+    },
+    {
+        pattern: /^ve-it-tips-view-counts:v1$/,
+        label: 'view counts',
+        merge: mergeImportedViewCounts
+    },
+    {
+        pattern: /^ve-it-tips-checklist:(.+):v[12]$/,
+        label: 'checklists',
+        merge: mergeImportedChecklist
+    },
+    {
+        pattern: /^ve-it-tips-flow-path:(.+):v1$/,
+        label: 'troubleshooting paths',
+        merge: mergeImportedFlowPath
+    },
+    {
+        pattern: /^ve-it-tips-seen-tips:v1$/,
+        label: 'what\'s new',
+        merge: mergeImportedSeenTips
+    },
+    {
+        pattern: /^ve-it-tips-sort:v1$/,
+        label: 'sort order',
+        merge: mergeImportedSort
+    }
+];
+
+/**
+ * Keeps the most recent view of each tip, newest first, up to the usual 10
+ */
+function mergeImportedRecentlyViewed(value) {
+    if (!Array.isArray(value)) return -1;
+
+    const local = loadRecentlyViewed();
+    const byId = new Map((Array.isArray(local) ? local : []).map(item => [item.id, item]));
+    let added = 0;
+
+    value.filter(item => isPlainObject(item) && item.id).forEach(item => {
+        const existing = byId.get(item.id);
+        if (!existing) added++;
+        if (!existing || String(item.viewedAt || '') > String(existing.viewedAt || '')) {
+            byId.set(item.id, { id: String(item.id), issue: String(item.issue || ''), viewedAt: item.viewedAt || null });
+        }
+    });
+
+    const merged = [...byId.values()]
+        .sort((a, b) => String(b.viewedAt || '').localeCompare(String(a.viewedAt || '')))
+        .slice(0, 10);
+    try {
+        localStorage.setItem(getRecentlyViewedStorageKey(), JSON.stringify(merged));
+    } catch (e) {
+        // Ignore storage errors (quota/private mode)
+    }
+    return added;
+}
+
+/**
+ * Adds pins this device does not have yet, after the existing ones
+ */
+function mergeImportedFavorites(value) {
+    if (!Array.isArray(value)) return -1;
+
+    const favorites = loadFavorites();
+    const pinnedIds = new Set(favorites.map(item => item.id));
+    const added = value
+        .filter(item => isPlainObject(item) && item.id && !pinnedIds.has(item.id))
+        .map(item => ({ id: String(item.id), issue: String(item.issue || ''), pinnedAt: item.pinnedAt || new Date().toISOString() }));
+
+    if (added.length > 0) saveFavorites([...favorites, ...added]);
+    return added.length;
+}
+
+/**
+ * Keeps the higher count for each tip, so importing the same file twice does not double it
+ */
+function mergeImportedViewCounts(value) {
+    if (!isPlainObject(value)) return -1;
+
+    const counts = loadViewCounts();
+    let updated = 0;
+    Object.keys(value).forEach(tipId => {
+        const count = Number(value[tipId]);
+        if (!Number.isFinite(count) || count <= (counts[tipId] || 0)) return;
+        counts[tipId] = Math.floor(count);
+        updated++;
+    });
+
+    if (updated > 0) saveViewCounts(counts);
+    return updated;
+}
+
+/**
+ * Keeps whichever checklist was ticked more recently; v1 arrays are upgraded to v2 records
+ */
+function mergeImportedChecklist(value, match) {
+    const tipId = match[1];
+    const imported = normalizeChecklistRecord(value);
+    if (!imported || !imported.steps.every(isPlainObject)) return -1;
+
+    const local = loadChecklistRecord(tipId);
+    if (local && String(local.updatedAt || '') >= String(imported.updatedAt || '')) return 0;
+
+    saveChecklistRecord(tipId, imported);
+    return 1;
+}
+
+/**
+ * Keeps the newer of the two paths through a branching guide
+ */
+function mergeImportedFlowPath(value, match) {
+    if (!isPlainObject(value) || !Array.isArray(value.path) || typeof value.fingerprint !== 'string') return -1;
+
+    try {
+        const local = JSON.parse(localStorage.getItem(getFlowPathStorageKey(match[1])));
+        if (local && String(local.updatedAt || '') >= String(value.updatedAt || '')) return 0;
+        localStorage.setItem(getFlowPathStorageKey(match[1]), JSON.stringify(value));
+    } catch (e) {
+        return 0;
+    }
+    return 1;
+}
+
+/**
+ * Keeps the newer snapshot of the tips seen last visit
+ */
+function mergeImportedSeenTips(value) {
+    if (!isPlainObject(value) || !isPlainObject(value.hashes)) return -1;
+
+    try {
+        const local = JSON.parse(localStorage.getItem(getSeenTipsStorageKey()));
+        if (local && String(local.savedAt || '') >= String(value.savedAt || '')) return 0;
+        localStorage.setItem(getSeenTipsStorageKey(), JSON.stringify(value));
+    } catch (e) {
+        return 0;
+    }
+    return 1;
+}
+
+/**
+ * Takes the sort order only when none was chosen on this device
+ */
+function mergeImportedSort(value) {
+    if (typeof value !== 'string' || !value) return -1;
+
+    try {
+        if (localStorage.getItem(getSortStorageKey())) return 0;
+        localStorage.setItem(getSortStorageKey(), value);
+    } catch (e) {
+        return 0;
+    }
+    return 1;
+}
+
+/**
+ * Validates an export file and merges it into this device's data
+ * Throws an Error with a message for the user when the file cannot be used.
+ * @param {string} text  The file's contents
+ * @returns {{ updated: Object<string, number>, skipped: number }}  entries added or updated per label,
+ *   and how many keys were not recognised or not valid
+ */
+function importUserData(text) {
+    if (text.length > USER_DATA_FILE_MAX_BYTES) {
+        throw new Error('This file is too large to be an IT Tips export.');
+    }
+
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (e) {
+        throw new Error('This file is not an IT Tips export (it is not valid JSON).');
+    }
+
+    if (!isPlainObject(file) || file.format !== USER_DATA_FILE_FORMAT || !isPlainObject(file.data)) {
+        throw new Error('This file is not an IT Tips export.');
+    }
+    if (!Number.isInteger(file.version) || file.version < 1) {
+        throw new Error('This export file has no valid version number.');
+    }
+    if (file.version > USER_DATA_FILE_VERSION) {
+        throw new Error('This file was exported by a newer version of IT Tips. Reload the app and try again.');
+    }
+
+    const updated = {};
+    let skipped = 0;
+
+    Object.keys(file.data).forEach(key => {
+        const importer = USER_DATA_IMPORTERS.find(entry => entry.pattern.test(key));
+        const count = importer ? importer.merge(file.data[key], importer.pattern.exec(key)) : -1;
+        if (count < 0) {
+            skipped++;
+            return;
+        }
+        updated[importer.label] = (updated[importer.label] || 0) + count;
+    });
+
+    return { updated: updated, skipped: skipped };
+}